@@ -0,0 +1,140 @@
+// Asset Module - loads the images, audio, fonts and JSON the game needs before the menu appears
+
+// Everything loaded at startup, by type then key - paths are relative to index.html
+export const AssetManifest = Object.freeze({
+    images: {
+        logo: 'favicon.ico',
+    },
+    audio: {},
+    fonts: {},
+    json: {
+        defaultLevel: 'levels/default.json',
+    },
+});
+
+// Keys of assets the game can't run without - the splash stops on an error if one fails
+export const RequiredAssets = Object.freeze(['defaultLevel']);
+
+export class AssetManager {
+    constructor() {
+        this.images = new Map();
+        this.audio = new Map(); // key -> decoded AudioBuffer
+        this.fonts = new Map(); // family -> FontFace
+        this.json = new Map();
+
+        this.audioContext = null;
+
+        this.total = 0;
+        this.loaded = 0;
+        this.errors = []; // { type, key, url, message }
+        this.done = false;
+    }
+
+    // Failures among the given asset keys
+    getFailures(keys) {
+        return this.errors.filter((failure) => keys.includes(failure.key));
+    }
+
+    get progress() {
+        return this.total > 0 ? this.loaded / this.total : 1;
+    }
+
+    // Load every asset in the manifest. A failed asset is recorded in errors and reported through
+    // onError but doesn't stop the rest - the promise resolves once all have finished either way.
+    // onProgress is called with (loaded, total, key) as each one finishes.
+    load(manifest, { onProgress = () => {}, onError = () => {} } = {}) {
+        const loaders = {
+            images: (key, url) => this.loadImage(url).then((image) => this.images.set(key, image)),
+            audio: (key, url) => this.loadAudio(url).then((buffer) => this.audio.set(key, buffer)),
+            fonts: (key, url) => this.loadFont(key, url).then((font) => this.fonts.set(key, font)),
+            json: (key, url) => this.loadJson(url).then((data) => this.json.set(key, data)),
+        };
+
+        const tasks = [];
+        Object.entries(loaders).forEach(([type, loader]) => {
+            Object.entries(manifest[type] || {}).forEach(([key, url]) => tasks.push({ type, key, url, loader }));
+        });
+
+        this.total += tasks.length;
+        this.done = false;
+
+        const pending = tasks.map(({ type, key, url, loader }) =>
+            loader(key, url)
+                .catch((error) => {
+                    const failure = { type, key, url, message: error.message };
+                    console.log('Asset ' + key + ' (' + url + ') failed to load: ' + error.message);
+                    this.errors.push(failure);
+                    onError(failure);
+                })
+                .then(() => {
+                    this.loaded++;
+                    onProgress(this.loaded, this.total, key);
+                })
+        );
+
+        return Promise.all(pending).then(() => {
+            this.done = true;
+        });
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('image could not be decoded'));
+            image.src = url;
+        });
+    }
+
+    loadAudio(url) {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                return Promise.reject(new Error('Web Audio is not supported'));
+            }
+            // Starts suspended until the first user gesture, but can decode straight away
+            this.audioContext = new AudioContextClass();
+        }
+
+        return this.fetchOk(url)
+            .then((response) => response.arrayBuffer())
+            .then((data) => this.audioContext.decodeAudioData(data));
+    }
+
+    loadFont(family, url) {
+        if (typeof FontFace === 'undefined') {
+            return Promise.reject(new Error('font loading is not supported'));
+        }
+
+        const font = new FontFace(family, 'url(' + url + ')');
+        return font.load().then(() => {
+            document.fonts.add(font);
+            return font;
+        });
+    }
+
+    loadJson(url) {
+        return this.fetchOk(url).then((response) => response.json());
+    }
+
+    fetchOk(url) {
+        return fetch(url).then((response) => {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response;
+        });
+    }
+
+    getImage(key) {
+        return this.images.get(key) || null;
+    }
+
+    getAudio(key) {
+        return this.audio.get(key) || null;
+    }
+
+    getJson(key) {
+        return this.json.has(key) ? this.json.get(key) : null;
+    }
+}
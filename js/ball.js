@@ -1,21 +1,31 @@
 // Ball Module for creating and managing balls
 import { PhysicsBodyFactory, PhysicsConstants, pixelsToMeters } from './physics.js';
-import { wallThickness } from './constants.js';
-
-export function generateRandomSize() {
-    // Random size from 1 to 5 as specified
-    return Math.floor(Math.random() * 5) + 1;
+import { wallThickness, maxBallSize } from './constants.js';
+import { SeededRandom } from './random.js';
+
+export function generateRandomSize(random, sizeWeights = [1, 1, 1, 1, 1]) {
+    // Random size from 1 to 5, each size as likely as its weight
+    const totalWeight = sizeWeights.reduce((sum, weight) => sum + weight, 0);
+    let roll = random.next() * totalWeight;
+
+    for (let index = 0; index < sizeWeights.length; index++) {
+        roll -= sizeWeights[index];
+        if (roll < 0) {
+            return index + 1;
+        }
+    }
+    return sizeWeights.length;
 }
 
 export class Ball {
-    constructor(sceneManager, x, y) {
+    constructor(sceneManager, x, y, size, restitution = 0.8) {
         this.sceneManager = sceneManager;
-        this.size = generateRandomSize();
-        this.radius = this.calculateRadius(this.size);
-        this.color = this.getColorForSize(this.size);
+        this.size = size;
+        this.destroyed = false;
+        this.radius = Ball.calculateRadius(this.size);
+        this.color = Ball.getColorForSize(this.size);
 
         const render = {
-            radius: this.radius,
             fillStyle: this.color,
             strokeStyle: '#ffffff',
             lineWidth: 3,
@@ -32,9 +42,10 @@ export class Ball {
 
         this.physicsBody = PhysicsBodyFactory.createCircle(x, y, this.radius, {
             label: 'ball',
+            layer: 'ball',
             density: 1,
             friction: 0.1,
-            restitution: 0.8,
+            restitution: restitution,
             linearDamping: 0.1,
             angularDamping: 0.1,
             userData: userData,
@@ -75,11 +86,11 @@ export class Ball {
         return vHtml;
     }
 
-    calculateRadius(size) {
+    static calculateRadius(size) {
         return 25 + (size - 1) * 5;
     }
 
-    getColorForSize(size) {
+    static getColorForSize(size) {
         // Cyberpunk color palette based on size
         const colors = [
             '#ff0080', // Hot pink
@@ -120,17 +131,128 @@ export class Ball {
     }
 
     destroy() {
+        this.destroyed = true;
         this.sceneManager.removeBody(this.physicsBody);
     }
 }
 
 export class BallManager {
-    constructor(sceneManager) {
+    constructor(sceneManager, random) {
         this.sceneManager = sceneManager;
+        this.random = random;
+        // Debug helpers draw from their own generator so they never shift the game's seeded sequence
+        this.debugRandom = new SeededRandom();
+        this.currentBall = null;
+        // Timers run on game time (ms since the game started) so replays spawn identically
+        this.dropCooldown = 1000;
+        this.moveSpeed = 5; // Distance to move per input tick
+        this.sizeWeights = [1, 1, 1, 1, 1];
+        this.ballRestitution = 0.8;
+
+        // Spawn area and ball sizes - the level sets these
+        this.spawnY = 50;
+        this.minX = wallThickness;
+        this.maxX = this.sceneManager.canvas.width - wallThickness;
+        this.spawnSizes = [1, 2, 3, 4, 5];
+        this.maxSize = maxBallSize; // merging two balls of this size clears them
+
+        this.lastCleanupTime = 0;
+        this.lastDropTime = -this.dropCooldown;
+        this.lastCurrentBallPosition = (this.minX + this.maxX) / 2;
+        this.pendingMerges = [];
+
+        // Upcoming sizes, so players can plan ahead
+        this.queueLength = 3;
+        this.nextSizes = [];
+        this.fillQueue();
+
+        // Hold slot - one swap allowed per drop
+        this.heldSize = null;
+        this.canHold = true;
+    }
+
+    // Forget the current ball, timers and queued merges - balls themselves are removed by the scene.
+    // Callers reseeding the random generator should do it first so the refilled queue follows the new seed
+    reset() {
         this.currentBall = null;
         this.lastCleanupTime = 0;
-        this.lastDropTime = 0;
-        this.lastCurrentBallPosition = this.sceneManager.canvas.width / 2;
+        this.lastDropTime = -this.dropCooldown;
+        this.lastCurrentBallPosition = (this.minX + this.maxX) / 2;
+        this.pendingMerges = [];
+        this.nextSizes = [];
+        this.fillQueue();
+        this.heldSize = null;
+        this.canHold = true;
+    }
+
+    // Take the spawn and movement rules from a difficulty profile - call reset() afterwards
+    // so the queue is refilled with the new size weighting
+    applyDifficulty(profile) {
+        this.dropCooldown = profile.dropCooldown;
+        this.moveSpeed = profile.moveSpeed;
+        this.sizeWeights = profile.sizeWeights;
+        this.ballRestitution = profile.restitution;
+    }
+
+    // Take the spawn area and ball sizes from a parsed level - call reset() afterwards too
+    applyLevel(level) {
+        this.spawnY = level.spawn.y;
+        this.minX = level.spawn.minX;
+        this.maxX = level.spawn.maxX;
+        this.spawnSizes = level.ballSizes.spawn;
+        this.maxSize = level.ballSizes.max;
+    }
+
+    createBall(x, y, size) {
+        return new Ball(this.sceneManager, x, y, size, this.ballRestitution);
+    }
+
+    fillQueue() {
+        while (this.nextSizes.length < this.queueLength) {
+            this.nextSizes.push(this.generateSpawnSize());
+        }
+    }
+
+    // One of the level's spawn sizes, weighted by the difficulty's weight for that size
+    generateSpawnSize() {
+        const weights = this.spawnSizes.map((size) => this.sizeWeights[size - 1] ?? 1);
+        return this.spawnSizes[generateRandomSize(this.random, weights) - 1];
+    }
+
+    // Sizes of the next balls to spawn, soonest first
+    peekNextSizes() {
+        return [...this.nextSizes];
+    }
+
+    takeNextSize() {
+        const size = this.nextSizes.shift();
+        this.fillQueue();
+        return size;
+    }
+
+    getHeldSize() {
+        return this.heldSize;
+    }
+
+    // Swap the current ball with the held one - the first hold takes from the queue instead.
+    // Returns true if the swap happened
+    holdCurrentBall() {
+        if (this.currentBall === null || !this.canHold) {
+            return false;
+        }
+
+        const currentSize = this.currentBall.size;
+        const newSize = this.heldSize !== null ? this.heldSize : this.takeNextSize();
+        const pos = this.currentBall.getPosition();
+
+        this.currentBall.destroy();
+        this.heldSize = currentSize;
+        this.canHold = false;
+
+        this.currentBall = this.createBall(pos.x, pos.y, newSize);
+        this.currentBall.setPosition(this.keepXWithinBounds(pos.x, this.currentBall), pos.y);
+
+        return true;
     }
 
     getBallBodies() {
@@ -154,73 +276,137 @@ export class BallManager {
 
     keepXWithinBounds(x, ball) {
         const ballRadius = ball.radius;
-        const minX = wallThickness + ballRadius;
-        const maxX = this.sceneManager.canvas.width - wallThickness - ballRadius;
+        const minX = this.minX + ballRadius;
+        const maxX = this.maxX - ballRadius;
         let newX = Math.max(minX, Math.min(maxX, x));
         return newX;
     }
 
-    spawnBall() {
+    spawnBall(now) {
         if (this.currentBall !== null) {
             return;
         }
 
-        if (performance.now() - this.lastDropTime < 1000) {
+        if (now - this.lastDropTime < this.dropCooldown) {
             return;
         }
 
         const x = 512;
         const y = -100;
 
-        this.currentBall = new Ball(this.sceneManager, x, y);
+        this.currentBall = this.createBall(x, y, this.takeNextSize());
 
         let newX = this.keepXWithinBounds(this.lastCurrentBallPosition, this.currentBall);
 
-        this.currentBall.setPosition(newX, 50);
+        this.currentBall.setPosition(newX, this.spawnY);
     }
 
-    dropCurrentBall() {
+    // Returns the dropped ball, or null if there was nothing to drop
+    dropCurrentBall(now) {
         if (this.currentBall === null) {
-            return;
+            return null;
         }
 
-        this.currentBall.release();
-        this.lastDropTime = performance.now();
+        const ball = this.currentBall;
+        ball.release();
+        this.lastDropTime = now;
+        this.canHold = true;
 
         this.currentBall = null;
+        return ball;
+    }
+
+    // Called from the contact listener - Planck does not allow bodies to be destroyed
+    // mid-step, so the merge is only recorded here and applied by processMerges()
+    queueMerge(ballA, ballB) {
+        if (ballA === ballB || ballA.size !== ballB.size) {
+            return;
+        }
+
+        // The ball waiting to be dropped never merges
+        if (ballA.physicsBody.isStatic() || ballB.physicsBody.isStatic()) {
+            return;
+        }
+
+        this.pendingMerges.push({ ballA, ballB });
+    }
+
+    // Apply merges queued during the last world step. Returns a list of merge events:
+    // { type: 'merge', size, x, y, ball } or { type: 'clear', size, x, y } for the top size
+    processMerges() {
+        const events = [];
+        const consumed = new Set();
+
+        this.pendingMerges.forEach(({ ballA, ballB }) => {
+            // A ball can touch several equal balls in one step - only merge it once
+            if (consumed.has(ballA) || consumed.has(ballB) || ballA.destroyed || ballB.destroyed) {
+                return;
+            }
+            consumed.add(ballA);
+            consumed.add(ballB);
+
+            const posA = ballA.getPosition();
+            const posB = ballB.getPosition();
+            const velA = ballA.physicsBody.getVelocity();
+            const velB = ballB.physicsBody.getVelocity();
+
+            const size = ballA.size;
+            const x = (posA.x + posB.x) / 2;
+            const y = (posA.y + posB.y) / 2;
+
+            ballA.destroy();
+            ballB.destroy();
+
+            if (size >= this.maxSize) {
+                events.push({ type: 'clear', size: size, x: x, y: y });
+                return;
+            }
+
+            const ball = this.createBall(x, y, size + 1);
+            ball.setPosition(this.keepXWithinBounds(x, ball), y);
+            ball.release();
+            ball.physicsBody.setVelocity((velA.x + velB.x) / 2, (velA.y + velB.y) / 2);
+
+            events.push({ type: 'merge', size: ball.size, x: x, y: y, ball: ball });
+        });
+
+        this.pendingMerges = [];
+
+        return events;
     }
 
+    // Returns true if there was a ball to move
     moveCurrentBall(direction) {
         if (this.currentBall === null) {
-            return;
+            return false;
         }
 
         const currentPos = this.currentBall.getPosition();
-        const moveDistance = 5; // Distance to move per frame
-        let newX = currentPos.x + direction * moveDistance;
+        let newX = currentPos.x + direction * this.moveSpeed;
 
         // Use keepXWithinBounds, which now uses WALL_THICKNESS
         newX = this.keepXWithinBounds(newX, this.currentBall);
 
         this.currentBall.setPosition(newX, currentPos.y);
         this.lastCurrentBallPosition = newX;
+        return true;
     }
 
-    updateFrame() {
-        this.spawnBall();
-        this.updateBallStates();
+    // Called once per physics step with the current game time
+    updateFrame(now) {
+        this.spawnBall(now);
+        this.updateBallStates(now);
     }
 
-    updateBallStates() {
+    updateBallStates(now) {
         let ballBodies = this.getBallBodies();
 
         // this.stopJittering();
 
-        this.cleanup();
+        this.cleanup(now);
     }
 
-    cleanup() {
-        let now = performance.now();
+    cleanup(now) {
         if (now - this.lastCleanupTime < 15000) {
             return;
         }
@@ -249,7 +435,7 @@ export class BallManager {
 
     testBalls() {
         let ballBodies = this.getBallBodies();
-        let sizeZap = generateRandomSize();
+        let sizeZap = this.spawnSizes[this.debugRandom.nextInt(0, this.spawnSizes.length - 1)];
 
         ballBodies.forEach((ballBody) => {
             const ball = ballBody.getUserData()?.ball;
@@ -2,3 +2,9 @@
 
 export const wallThickness = 16;
 export const fixedTimeStep = 1000 / 60; // ms per physics step (16.666...)
+export const maxBallSize = 10; // merging two balls of this size clears them instead
+
+// Game modes - each has its own high score tables
+export const GameModes = Object.freeze({
+    classic: 'Classic',
+});
@@ -0,0 +1,39 @@
+// Difficulty Module - the gameplay rules each Difficulty setting plays with
+
+export const DifficultyProfiles = Object.freeze({
+    Easy: Object.freeze({
+        name: 'Easy',
+        gravity: 240, // px/s²
+        dropCooldown: 800, // ms between a drop and the next ball spawning
+        sizeWeights: [30, 28, 22, 12, 8], // Relative chance of sizes 1..5 - favours small balls
+        restitution: 0.6, // Ball bounciness
+        dangerLineY: 120, // px from the top - higher line, more room
+        moveSpeed: 6, // px per input tick
+        aimGuide: true, // Landing preview allowed if the setting is on
+    }),
+    Medium: Object.freeze({
+        name: 'Medium',
+        gravity: 300,
+        dropCooldown: 1000,
+        sizeWeights: [1, 1, 1, 1, 1],
+        restitution: 0.8,
+        dangerLineY: 140,
+        moveSpeed: 5,
+        aimGuide: true,
+    }),
+    Hard: Object.freeze({
+        name: 'Hard',
+        gravity: 420,
+        dropCooldown: 1200,
+        sizeWeights: [12, 16, 20, 24, 28],
+        restitution: 0.9,
+        dangerLineY: 180,
+        moveSpeed: 4,
+        aimGuide: false,
+    }),
+});
+
+// Unknown names fall back to Medium
+export function getDifficultyProfile(name) {
+    return DifficultyProfiles[name] || DifficultyProfiles.Medium;
+}
@@ -0,0 +1,78 @@
+// File helpers for exporting and importing JSON data through the browser
+
+// Save data as a downloaded .json file
+export function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+// Ask the user for a .json file - resolves with the parsed contents, rejects on bad JSON or when
+// the dialog is cancelled (that error has cancelled set). Must be called from an input handler so
+// the browser allows the file dialog
+export function pickJsonFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        let settled = false;
+        const cancel = () => {
+            if (!settled) {
+                settled = true;
+                reject(noFileError());
+            }
+        };
+
+        input.addEventListener('change', () => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+
+            const file = input.files[0];
+            if (!file) {
+                reject(noFileError());
+                return;
+            }
+
+            file.text()
+                .then((text) => resolve(JSON.parse(text)))
+                .catch((error) => reject(new Error(file.name + ': ' + error.message)));
+        });
+
+        if ('oncancel' in input) {
+            input.addEventListener('cancel', cancel);
+        } else {
+            // Browsers without the cancel event - the page gets focus back when the dialog closes, and a
+            // chosen file's change event follows shortly after. A file already chosen is left to it.
+            window.addEventListener(
+                'focus',
+                () => {
+                    setTimeout(() => {
+                        if (input.files.length === 0) {
+                            cancel();
+                        }
+                    }, 1000);
+                },
+                { once: true }
+            );
+        }
+
+        input.click();
+    });
+}
+
+function noFileError() {
+    const error = new Error('No file selected');
+    error.cancelled = true;
+    return error;
+}
@@ -0,0 +1,33 @@
+// Game Clock Module - the one place frame timing is measured, every scene gets its dt from here
+
+export class GameClock {
+    constructor({ maxFrameTime = 250, maxStepsPerFrame = 8 } = {}) {
+        // A frame longer than this (breakpoint, slow device) only advances the game by this much
+        this.maxFrameTime = maxFrameTime; // ms
+        // Fixed step loops stop catching up after this many steps in one frame and drop the rest
+        this.maxStepsPerFrame = maxStepsPerFrame;
+
+        this.currentTime = 0;
+        this.deltaTime = 0; // ms since the last tick, clamped to maxFrameTime
+        this.rawDeltaTime = 0; // ms since the last tick as measured
+        this.frameCount = 0;
+        this.droppedTime = 0; // ms of real time the clamps have thrown away
+    }
+
+    tick(now) {
+        // First tick, or the first one after a resync, doesn't advance anything
+        const lastTime = this.currentTime || now;
+        this.currentTime = now;
+        this.rawDeltaTime = now - lastTime;
+        this.deltaTime = Math.min(this.rawDeltaTime, this.maxFrameTime);
+        this.droppedTime += this.rawDeltaTime - this.deltaTime;
+        this.frameCount++;
+
+        return this.deltaTime;
+    }
+
+    // Start timing again from now - used when the tab comes back so the hidden time isn't simulated
+    resync() {
+        this.currentTime = 0;
+    }
+}
@@ -0,0 +1,128 @@
+// High Score Module - top scores per game mode and difficulty, persisted to localStorage
+
+export const HighScoresVersion = 1;
+
+export class HighScoreTable {
+    constructor(storage, storageKey = 'ohBalls2.highScores', maxEntries = 10) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+
+        // 'mode/difficulty' -> entries sorted best first
+        this.tables = {};
+        this.lastName = '';
+
+        this.load();
+    }
+
+    static getTableKey(mode, difficulty) {
+        return mode + '/' + difficulty;
+    }
+
+    // True for an entry the table can show - stored data may have been edited or come from an
+    // older build, so each one is checked before it is trusted
+    static isValidEntry(entry) {
+        const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        return (
+            entry !== null &&
+            typeof entry === 'object' &&
+            typeof entry.name === 'string' &&
+            isCount(entry.score) &&
+            isCount(entry.largestBall) &&
+            isCount(entry.duration) &&
+            typeof entry.date === 'string'
+        );
+    }
+
+    // Keep the valid entries of each stored table, best first and no more than maxEntries
+    validateTables(tables) {
+        const valid = {};
+        if (!tables || typeof tables !== 'object') {
+            return valid;
+        }
+
+        Object.entries(tables).forEach(([key, entries]) => {
+            if (!Array.isArray(entries)) {
+                return;
+            }
+            const kept = entries.filter((entry) => HighScoreTable.isValidEntry(entry));
+            if (kept.length < entries.length) {
+                console.log('High scores: dropped ' + (entries.length - kept.length) + ' invalid entries from ' + key);
+            }
+            valid[key] = kept.sort((a, b) => b.score - a.score).slice(0, this.maxEntries);
+        });
+        return valid;
+    }
+
+    load() {
+        try {
+            const json = this.storage.getItem(this.storageKey);
+            if (json === null) {
+                return;
+            }
+
+            const data = JSON.parse(json);
+            if (data.version !== HighScoresVersion) {
+                throw new Error('unsupported version ' + data.version);
+            }
+            this.tables = this.validateTables(data.tables);
+            this.lastName = typeof data.lastName === 'string' ? data.lastName : '';
+        } catch (error) {
+            console.log('High scores could not be loaded: ' + error.message);
+            this.tables = {};
+        }
+    }
+
+    save() {
+        try {
+            const data = {
+                version: HighScoresVersion,
+                tables: this.tables,
+                lastName: this.lastName,
+            };
+            this.storage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.log('High scores could not be saved: ' + error.message);
+        }
+    }
+
+    getEntries(mode, difficulty) {
+        return [...(this.tables[HighScoreTable.getTableKey(mode, difficulty)] || [])];
+    }
+
+    getBestScore(mode, difficulty) {
+        const entries = this.getEntries(mode, difficulty);
+        return entries.length > 0 ? entries[0].score : 0;
+    }
+
+    // True if the score would make it onto the table
+    qualifies(mode, difficulty, score) {
+        if (score <= 0) {
+            return false;
+        }
+        const entries = this.getEntries(mode, difficulty);
+        return entries.length < this.maxEntries || score > entries[entries.length - 1].score;
+    }
+
+    // Entry is { name, score, largestBall, duration, seed, date } - returns its 1-based rank,
+    // or 0 if it didn't make the table
+    addEntry(mode, difficulty, entry) {
+        const entries = this.getEntries(mode, difficulty);
+
+        // Equal scores rank below the ones already there
+        let index = entries.findIndex((existing) => entry.score > existing.score);
+        if (index === -1) {
+            index = entries.length;
+        }
+        if (index >= this.maxEntries) {
+            return 0;
+        }
+
+        entries.splice(index, 0, entry);
+        this.tables[HighScoreTable.getTableKey(mode, difficulty)] = entries.slice(0, this.maxEntries);
+        this.lastName = entry.name;
+        this.save();
+
+        return index + 1;
+    }
+}
@@ -16,13 +16,14 @@ export class InputHandler {
 
     registerSceneManager(sceneManager) {
         this.sceneManager = sceneManager;
+        this.setupMouseListeners(sceneManager.canvas);
     }
 
     setupEventListeners() {
         document.addEventListener('keyup', (event) => this.handleKeyUp(event));
         document.addEventListener('keydown', (event) => {
-            // Prevent default for arrow keys, space, enter, and escape
-            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space', 'Enter', 'Escape'].includes(event.code)) {
+            // Prevent default for arrow keys, space, enter, escape and backspace
+            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space', 'Enter', 'Escape', 'Backspace'].includes(event.code)) {
                 event.preventDefault();
             }
             this.handleKeyDown(event);
@@ -51,8 +52,13 @@ export class InputHandler {
             }
             return;
         }
-        // Space/Enter/Escape: only fire on new press
-        if (event.code === 'Space' || event.code === 'Enter' || event.code === 'Escape') {
+        // Space/Enter/Escape and the digit, editing and bracket keys: only fire on new press
+        if (
+            ['Space', 'Enter', 'Escape', 'Delete', 'Backspace', 'Minus', 'Equal', 'BracketLeft', 'BracketRight'].includes(
+                event.code
+            ) ||
+            /^Digit[0-9]$/.test(event.code)
+        ) {
             if (!this.keyState[event.code]) {
                 this.keyState[event.code] = true;
                 this.sceneManager.inputKeyPressed(event.code);
@@ -61,6 +67,33 @@ export class InputHandler {
         }
     }
 
+    // Mouse events on the canvas go to the scene in canvas pixels, whatever size it is shown at
+    setupMouseListeners(canvas) {
+        const toCanvas = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+                y: ((event.clientY - rect.top) * canvas.height) / rect.height,
+            };
+        };
+
+        ['mousedown', 'mousemove', 'mouseup'].forEach((type) => {
+            canvas.addEventListener(type, (event) => {
+                const point = toCanvas(event);
+                this.sceneManager.inputMouse(type, point.x, point.y, { button: event.button });
+            });
+        });
+
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const point = toCanvas(event);
+            this.sceneManager.inputMouse('wheel', point.x, point.y, { delta: Math.sign(event.deltaY) });
+        });
+
+        // Right button is free for scenes to use
+        canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+    }
+
     handleKeyUp(event) {
         // On keyup, clear state for all keys
         this.keyState[event.code] = false;
@@ -90,6 +123,18 @@ export class InputHandler {
         } else if (axisX > deadZone) {
             this.sceneManager.inputKeyPressed('ArrowRight');
         }
+        // D-pad left/right (buttons 14/15) auto-repeat like the thumbstick
+        if (gp.buttons[14]?.pressed) {
+            this.sceneManager.inputKeyPressed('ArrowLeft');
+        } else if (gp.buttons[15]?.pressed) {
+            this.sceneManager.inputKeyPressed('ArrowRight');
+        }
+
+        // Thumbstick Y axis and d-pad up/down (buttons 12/13) fire once per press, for menus and name entry
+        const axisY = gp.axes[1] || 0;
+        this.pollGamepadButton('ArrowUp', axisY < -deadZone || gp.buttons[12]?.pressed);
+        this.pollGamepadButton('ArrowDown', axisY > deadZone || gp.buttons[13]?.pressed);
+
         // A button (button 0) as Space
         if (gp.buttons[0]?.pressed) {
             if (!this.gamepadState['Space']) {
@@ -99,6 +144,24 @@ export class InputHandler {
         } else {
             this.gamepadState['Space'] = false;
         }
+        // X button (button 2) as KeyH - hold/swap
+        if (gp.buttons[2]?.pressed) {
+            if (!this.gamepadState['KeyH']) {
+                this.sceneManager.inputKeyPressed('KeyH');
+                this.gamepadState['KeyH'] = true;
+            }
+        } else {
+            this.gamepadState['KeyH'] = false;
+        }
+        // Start button (button 9) as KeyP - pause
+        if (gp.buttons[9]?.pressed) {
+            if (!this.gamepadState['KeyP']) {
+                this.sceneManager.inputKeyPressed('KeyP');
+                this.gamepadState['KeyP'] = true;
+            }
+        } else {
+            this.gamepadState['KeyP'] = false;
+        }
         // B button (button 1) as KeyD
         if (gp.buttons[1]?.pressed) {
             if (!this.gamepadState['KeyD']) {
@@ -110,6 +173,18 @@ export class InputHandler {
         }
     }
 
+    // Fire code once when pressed becomes true, then wait for release
+    pollGamepadButton(code, pressed) {
+        if (pressed) {
+            if (!this.gamepadState[code]) {
+                this.sceneManager.inputKeyPressed(code);
+                this.gamepadState[code] = true;
+            }
+        } else {
+            this.gamepadState[code] = false;
+        }
+    }
+
     // Cleanup method
     destroy() {
         document.removeEventListener('keydown', this.handleKeyDown);
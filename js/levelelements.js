@@ -0,0 +1,356 @@
+// Level Elements Module - reusable pieces of playfield built from physics bodies
+import { PhysicsBodyFactory, PhysicsJointFactory } from './physics.js';
+
+// Base class - an element owns its bodies and joints. update() runs once per fixed physics step,
+// just before the world steps, so elements stay in step with replays. The bodies are drawn like
+// any other body from their render metadata; render() only adds what that can't show.
+export class LevelElement {
+    // Options a level has to give - the rest have defaults
+    static requiredOptions = [];
+
+    // Numeric options, given or not, and what they may be: 'number', 'positive' or 'nonNegative'
+    static numberOptions = {};
+
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.physics = scene.physics;
+        this.options = options;
+        this.bodies = [];
+    }
+
+    addBody(body) {
+        this.bodies.push(body);
+        this.physics.addBody(body);
+        return body;
+    }
+
+    update(dt) {
+        // Called every physics step with the step length in ms
+    }
+
+    render(ctx) {
+        // Called after the bodies are drawn
+    }
+
+    // Remove everything this element added - not needed when the whole world is being replaced
+    destroy() {
+        this.bodies.forEach((body) => this.physics.removeBody(body));
+        this.bodies = [];
+    }
+}
+
+const elementRender = {
+    fillStyle: '#00ffff',
+    strokeStyle: '#ffffff',
+    lineWidth: 3,
+};
+
+// Small static circle for balls to bounce between
+export class Peg extends LevelElement {
+    static requiredOptions = ['x', 'y'];
+    static numberOptions = { x: 'number', y: 'number', radius: 'positive', restitution: 'nonNegative' };
+
+    constructor(scene, { x, y, radius = 10, restitution = 0.5 } = {}) {
+        super(scene, { x, y, radius, restitution });
+
+        this.body = this.addBody(
+            PhysicsBodyFactory.createCircle(x, y, radius, {
+                isStatic: true,
+                layer: 'wall',
+                restitution: restitution,
+                userData: { label: 'peg', render: elementRender },
+            })
+        );
+    }
+}
+
+// Static slab from one pixel point to another
+export class Ramp extends LevelElement {
+    static requiredOptions = ['x1', 'y1', 'x2', 'y2'];
+    static numberOptions = {
+        x1: 'number',
+        y1: 'number',
+        x2: 'number',
+        y2: 'number',
+        thickness: 'positive',
+        friction: 'nonNegative',
+    };
+
+    constructor(scene, { x1, y1, x2, y2, thickness = 16, friction = 0.2 } = {}) {
+        super(scene, { x1, y1, x2, y2, thickness, friction });
+
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        this.body = this.addBody(
+            PhysicsBodyFactory.createRectangle((x1 + x2) / 2, (y1 + y2) / 2, length, thickness, {
+                isStatic: true,
+                layer: 'wall',
+                angle: Math.atan2(y2 - y1, x2 - x1),
+                friction: friction,
+                userData: { label: 'ramp', render: elementRender },
+            })
+        );
+    }
+}
+
+// Kinematic platform travelling through path points at a steady speed (px/s). It turns back at
+// the last point, or runs on to the first again when loop is set. Balls ride on it by friction.
+export class MovingPlatform extends LevelElement {
+    static requiredOptions = ['path'];
+    static numberOptions = { width: 'positive', height: 'positive', speed: 'positive' };
+
+    constructor(scene, { path, width = 120, height = 16, speed = 100, loop = false } = {}) {
+        super(scene, { path, width, height, speed, loop });
+
+        if (!Array.isArray(path) || path.length < 2) {
+            throw new Error('Moving platform needs a path of at least 2 points');
+        }
+
+        this.path = path;
+        this.speed = speed;
+        this.loop = loop;
+        this.targetIndex = 1;
+        this.direction = 1;
+
+        this.body = this.addBody(
+            PhysicsBodyFactory.createRectangle(path[0].x, path[0].y, width, height, {
+                isKinematic: true,
+                layer: 'wall',
+                friction: 0.8,
+                userData: { label: 'platform', render: { ...elementRender, fillStyle: '#ffaa00' } },
+            })
+        );
+    }
+
+    update(dt) {
+        // Simulated time this step - the world's time scale stretches it
+        const stepSeconds = (dt * this.physics.getStepConfig().timeScale) / 1000;
+        if (stepSeconds <= 0) {
+            return;
+        }
+
+        const position = this.body.getPosition();
+        const target = this.path[this.targetIndex];
+        const dx = target.x - position.x;
+        const dy = target.y - position.y;
+        const distance = Math.hypot(dx, dy);
+        const stepDistance = this.speed * stepSeconds;
+
+        if (distance <= stepDistance) {
+            // Arrive exactly this step, then head for the next point
+            this.body.setVelocity(dx / stepSeconds, dy / stepSeconds);
+            this.advanceTarget();
+        } else {
+            this.body.setVelocity((dx / distance) * this.speed, (dy / distance) * this.speed);
+        }
+    }
+
+    advanceTarget() {
+        if (this.loop) {
+            this.targetIndex = (this.targetIndex + 1) % this.path.length;
+            return;
+        }
+
+        const next = this.targetIndex + this.direction;
+        if (next < 0 || next >= this.path.length) {
+            this.direction = -this.direction;
+        }
+        this.targetIndex += this.direction;
+    }
+
+    // Faint line along the route
+    render(ctx) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 170, 0, 0.3)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        this.path.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        if (this.loop) {
+            ctx.closePath();
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Bar turned round a static hub by a motorised hinge - speed in radians/sec, negative for
+// anticlockwise. The motor is strong enough that a pile of balls only slows it down.
+export class SpinningPaddle extends LevelElement {
+    static requiredOptions = ['x', 'y'];
+    static numberOptions = {
+        x: 'number',
+        y: 'number',
+        length: 'positive',
+        thickness: 'positive',
+        speed: 'number',
+        maxTorque: 'nonNegative',
+    };
+
+    constructor(scene, { x, y, length = 160, thickness = 16, speed = 2, maxTorque = 5000 } = {}) {
+        super(scene, { x, y, length, thickness, speed, maxTorque });
+
+        this.hub = this.addBody(
+            PhysicsBodyFactory.createCircle(x, y, thickness / 2 + 2, {
+                isStatic: true,
+                layer: 'wall',
+                userData: { label: 'paddlehub', render: elementRender },
+            })
+        );
+
+        this.body = this.addBody(
+            PhysicsBodyFactory.createRectangle(x, y, length, thickness, {
+                layer: 'wall',
+                density: 5,
+                userData: { label: 'paddle', render: { ...elementRender, fillStyle: '#ff00ff' } },
+            })
+        );
+
+        this.hinge = PhysicsJointFactory.createRevolute(
+            this.hub,
+            this.body,
+            { x, y },
+            {
+                enableMotor: true,
+                motorSpeed: speed,
+                maxMotorTorque: maxTorque,
+                userData: { label: 'paddle' },
+            }
+        );
+    }
+
+    destroy() {
+        this.physics.removeJoint(this.hinge);
+        super.destroy();
+    }
+}
+
+// Static circle that kicks anything bouncing off it away from its centre with an extra impulse
+// of strength px/s times the body's mass, and flashes when hit
+export class Bumper extends LevelElement {
+    static requiredOptions = ['x', 'y'];
+    static numberOptions = { x: 'number', y: 'number', radius: 'positive', strength: 'nonNegative' };
+
+    constructor(scene, { x, y, radius = 24, strength = 400 } = {}) {
+        super(scene, { x, y, radius, strength });
+
+        this.strength = strength;
+        this.flashDuration = 200; // ms of game time
+        this.lastHitTime = -Infinity;
+        this.pendingKicks = [];
+
+        this.body = this.addBody(
+            PhysicsBodyFactory.createCircle(x, y, radius, {
+                isStatic: true,
+                layer: 'wall',
+                restitution: 0.8,
+                userData: { label: 'bumper', render: { ...elementRender, fillStyle: '#ff4444' } },
+            })
+        );
+
+        // Kicks wait for update() - the world is locked while contacts are reported
+        this.onCollision = (event) => {
+            event.pairs.forEach(({ bodyA, bodyB, normal }) => {
+                if (bodyA.id === this.body.id && !bodyB.isStatic() && !bodyB.isKinematic()) {
+                    this.pendingKicks.push({ body: bodyB, normal: normal });
+                }
+            });
+        };
+        this.physics.on('collisionStart', { labels: ['bumper'] }, this.onCollision);
+    }
+
+    update(dt) {
+        this.pendingKicks.forEach(({ body, normal }) => {
+            // A merge in the same step may have destroyed the ball since the kick was queued
+            if (body.userData.ball?.destroyed) {
+                return;
+            }
+            const impulse = this.strength * body.mass;
+            body.applyImpulse(normal.x * impulse, normal.y * impulse);
+            this.lastHitTime = this.scene.clock.gameTime;
+        });
+        this.pendingKicks = [];
+    }
+
+    render(ctx) {
+        const fade = 1 - (this.scene.clock.gameTime - this.lastHitTime) / this.flashDuration;
+        if (fade <= 0) {
+            return;
+        }
+
+        const position = this.body.getPosition();
+        ctx.save();
+        ctx.strokeStyle = `rgba(255, 255, 255, ${fade})`;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, this.options.radius + 6, 0, 6.28);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    destroy() {
+        this.physics.off('collisionStart', this.onCollision);
+        super.destroy();
+    }
+}
+
+// Level platform that only holds things up from above - anything whose bottom is below the
+// platform's top surface passes straight through it
+export class OneWayPlatform extends LevelElement {
+    static requiredOptions = ['x', 'y'];
+    static numberOptions = { x: 'number', y: 'number', width: 'positive', height: 'positive', tolerance: 'nonNegative' };
+
+    constructor(scene, { x, y, width = 160, height = 12, tolerance = 4 } = {}) {
+        super(scene, { x, y, width, height, tolerance });
+
+        this.top = y - height / 2;
+        this.tolerance = tolerance; // px of overlap allowed for things resting on top
+
+        this.body = this.addBody(
+            PhysicsBodyFactory.createRectangle(x, y, width, height, {
+                isStatic: true,
+                layer: 'wall',
+                userData: { label: 'oneway', render: { ...elementRender, fillStyle: '#00ff88' } },
+            })
+        );
+
+        // Decided again every step, so a ball part way through keeps falling through
+        this.onPreSolve = (event) => {
+            event.pairs.forEach((pair) => {
+                if (pair.bodyA.id === this.body.id && pair.bodyB.bounds.max.y > this.top + this.tolerance) {
+                    pair.setEnabled(false);
+                }
+            });
+        };
+        this.physics.on('collisionPreSolve', { labels: ['oneway'] }, this.onPreSolve);
+    }
+
+    destroy() {
+        this.physics.off('collisionPreSolve', this.onPreSolve);
+        super.destroy();
+    }
+}
+
+// Element classes by the type name levels use
+export const LevelElementTypes = Object.freeze({
+    peg: Peg,
+    ramp: Ramp,
+    movingPlatform: MovingPlatform,
+    spinningPaddle: SpinningPaddle,
+    bumper: Bumper,
+    oneWayPlatform: OneWayPlatform,
+});
+
+// Build an element from { type, ...options }
+export function createLevelElement(scene, definition) {
+    const ElementClass = LevelElementTypes[definition.type];
+    if (!ElementClass) {
+        throw new Error('Unknown level element: ' + definition.type);
+    }
+    return new ElementClass(scene, definition);
+}
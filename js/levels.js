@@ -0,0 +1,318 @@
+// Level Module - the JSON format container layouts are described in
+//
+// {
+//     version: 1,
+//     name: 'Classic',
+//     width: 1280, height: 720,             // px - must match the canvas
+//     gravity: null,                         // px/s², null plays with the difficulty's
+//     dangerLineY: null,                     // px from the top, null plays with the difficulty's
+//     material: { friction, restitution },   // for boundaries that don't set their own
+//     boundaries: [ { type: 'rectangle' | 'circle' | 'polygon' | 'edge' | 'chain', label, render, ... } ],
+//     obstacles: [ { type: 'peg' | 'ramp' | ..., ... } ],  // level elements
+//     spawn: { y, minX, maxX },              // where the next ball waits and how far it can move
+//     ballSizes: { spawn: [1, 2, 3, 4, 5], max: 10 },  // sizes that drop, size that clears on merging
+//     winCondition: null | { type: 'score', target } | { type: 'ballSize', size },
+// }
+import { PhysicsBodyFactory, PhysicsUtils } from './physics.js';
+import { LevelElementTypes } from './levelelements.js';
+
+export const LevelVersion = 1;
+
+export const WinConditions = Object.freeze({
+    score: 'score', // reach a score of target
+    ballSize: 'ballSize', // merge up to a ball of size
+});
+
+// Fields each boundary shape needs besides type - numbers unless noted
+const BoundaryFields = Object.freeze({
+    rectangle: ['x', 'y', 'width', 'height'],
+    circle: ['x', 'y', 'radius'],
+    polygon: ['x', 'y', 'vertices'], // vertices are offsets from x, y
+    edge: ['x1', 'y1', 'x2', 'y2'],
+    chain: ['x', 'y', 'vertices'],
+});
+
+// Labels the game's collision handlers look for on its own bodies - a boundary can't have one
+const ReservedLabels = Object.freeze(['ball', 'dangerline']);
+
+// Checks for the rules element classes give their numberOptions
+const NumberRules = Object.freeze({
+    number: requireNumber,
+    positive: requirePositive,
+    nonNegative: requireNonNegative,
+});
+
+const boundaryRender = {
+    fillStyle: '#00ffff',
+    strokeStyle: '#ffffff',
+    lineWidth: 3,
+};
+
+// Check a level - throws an Error describing the first problem found. Returns a copy with the
+// optional fields filled in, so everything after can rely on them.
+export function parseLevel(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Level must be a JSON object');
+    }
+    if (data.version !== LevelVersion) {
+        throw new Error('Unsupported level version ' + data.version + ', expected ' + LevelVersion);
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Level name must be a non-empty string');
+    }
+    requirePositive(data.width, 'width');
+    requirePositive(data.height, 'height');
+    if (data.gravity !== undefined && data.gravity !== null) {
+        requireNumber(data.gravity, 'gravity');
+    }
+    if (data.dangerLineY !== undefined && data.dangerLineY !== null) {
+        requireWithin(data.dangerLineY, 'dangerLineY', data.height);
+    }
+
+    const material = data.material || {};
+    ['friction', 'restitution'].forEach((field) => {
+        if (material[field] !== undefined) {
+            requireNonNegative(material[field], 'material.' + field);
+        }
+    });
+
+    if (!Array.isArray(data.boundaries) || data.boundaries.length === 0) {
+        throw new Error('Level boundaries must be a non-empty array');
+    }
+    data.boundaries.forEach((boundary, index) => checkBoundary(boundary, 'boundaries[' + index + ']'));
+
+    const obstacles = data.obstacles || [];
+    if (!Array.isArray(obstacles)) {
+        throw new Error('Level obstacles must be an array');
+    }
+    obstacles.forEach((obstacle, index) => checkObstacle(obstacle, 'obstacles[' + index + ']'));
+
+    const spawn = data.spawn;
+    if (!spawn || typeof spawn !== 'object') {
+        throw new Error('Level spawn must be an object with y, minX and maxX');
+    }
+    requireWithin(spawn.y, 'spawn.y', data.height);
+    requireWithin(spawn.minX, 'spawn.minX', data.width);
+    requireWithin(spawn.maxX, 'spawn.maxX', data.width);
+    if (spawn.minX >= spawn.maxX) {
+        throw new Error('Level spawn.minX must be less than spawn.maxX');
+    }
+
+    const ballSizes = data.ballSizes;
+    if (!ballSizes || typeof ballSizes !== 'object') {
+        throw new Error('Level ballSizes must be an object with spawn and max');
+    }
+    if (!Number.isInteger(ballSizes.max) || ballSizes.max < 1) {
+        throw new Error('Level ballSizes.max must be a positive integer');
+    }
+    if (!Array.isArray(ballSizes.spawn) || ballSizes.spawn.length === 0) {
+        throw new Error('Level ballSizes.spawn must be a non-empty array of sizes');
+    }
+    ballSizes.spawn.forEach((size, index) => {
+        if (!Number.isInteger(size) || size < 1 || size > ballSizes.max) {
+            throw new Error('Level ballSizes.spawn[' + index + '] must be a size from 1 to ' + ballSizes.max);
+        }
+    });
+
+    const winCondition = data.winCondition || null;
+    if (winCondition) {
+        checkWinCondition(winCondition, ballSizes.max);
+    }
+
+    return {
+        version: data.version,
+        name: data.name,
+        width: data.width,
+        height: data.height,
+        gravity: data.gravity ?? null,
+        dangerLineY: data.dangerLineY ?? null,
+        material: { friction: material.friction ?? 0.5, restitution: material.restitution ?? 0.7 },
+        boundaries: data.boundaries.map((boundary) => ({ ...boundary })),
+        obstacles: obstacles.map((obstacle) => ({ ...obstacle })),
+        spawn: { y: spawn.y, minX: spawn.minX, maxX: spawn.maxX },
+        ballSizes: { spawn: [...ballSizes.spawn], max: ballSizes.max },
+        winCondition: winCondition ? { ...winCondition } : null,
+    };
+}
+
+function checkBoundary(boundary, path) {
+    if (!boundary || typeof boundary !== 'object') {
+        throw new Error('Level ' + path + ' must be an object');
+    }
+    const fields = BoundaryFields[boundary.type];
+    if (!fields) {
+        throw new Error('Level ' + path + '.type must be one of ' + Object.keys(BoundaryFields).join(', '));
+    }
+
+    fields.forEach((field) => {
+        if (field === 'vertices') {
+            requirePoints(boundary.vertices, path + '.vertices', boundary.type === 'polygon' || boundary.loop === true ? 3 : 2);
+        } else if (field === 'width' || field === 'height' || field === 'radius') {
+            requirePositive(boundary[field], path + '.' + field);
+        } else {
+            requireNumber(boundary[field], path + '.' + field);
+        }
+    });
+
+    switch (boundary.type) {
+        case 'polygon': {
+            const maxVertices = planck.Settings.maxPolygonVertices;
+            if (boundary.vertices.length > maxVertices) {
+                throw new Error('Level ' + path + '.vertices must have no more than ' + maxVertices + ' points');
+            }
+            if (!PhysicsUtils.isConvex(boundary.vertices)) {
+                throw new Error('Level ' + path + '.vertices must form a convex shape');
+            }
+            break;
+        }
+        case 'edge':
+            requireApart(boundary, path);
+            break;
+        case 'chain':
+            requireBoolean(boundary.loop, path + '.loop');
+            break;
+    }
+
+    if (boundary.angle !== undefined) {
+        requireNumber(boundary.angle, path + '.angle');
+    }
+    ['friction', 'restitution'].forEach((field) => {
+        if (boundary[field] !== undefined) {
+            requireNonNegative(boundary[field], path + '.' + field);
+        }
+    });
+    if (boundary.label !== undefined && typeof boundary.label !== 'string') {
+        throw new Error('Level ' + path + '.label must be a string');
+    }
+    if (ReservedLabels.includes(boundary.label)) {
+        throw new Error('Level ' + path + '.label must not be ' + ReservedLabels.join(' or ') + ' - the game uses those');
+    }
+    if (boundary.render !== undefined && (boundary.render === null || typeof boundary.render !== 'object')) {
+        throw new Error('Level ' + path + '.render must be an object');
+    }
+}
+
+function checkObstacle(obstacle, path) {
+    if (!obstacle || typeof obstacle !== 'object') {
+        throw new Error('Level ' + path + ' must be an object');
+    }
+    const ElementClass = LevelElementTypes[obstacle.type];
+    if (!ElementClass) {
+        throw new Error('Level ' + path + '.type must be one of ' + Object.keys(LevelElementTypes).join(', '));
+    }
+
+    ElementClass.requiredOptions.forEach((field) => {
+        if (field === 'path') {
+            requirePoints(obstacle.path, path + '.path', 2);
+        } else {
+            requireNumber(obstacle[field], path + '.' + field);
+        }
+    });
+    Object.entries(ElementClass.numberOptions).forEach(([field, rule]) => {
+        if (obstacle[field] !== undefined) {
+            NumberRules[rule](obstacle[field], path + '.' + field);
+        }
+    });
+
+    switch (obstacle.type) {
+        case 'ramp':
+            requireApart(obstacle, path);
+            break;
+        case 'movingPlatform':
+            requireBoolean(obstacle.loop, path + '.loop');
+            break;
+    }
+}
+
+function checkWinCondition(winCondition, maxSize) {
+    switch (winCondition.type) {
+        case WinConditions.score:
+            requirePositive(winCondition.target, 'winCondition.target');
+            break;
+        case WinConditions.ballSize:
+            if (!Number.isInteger(winCondition.size) || winCondition.size < 1 || winCondition.size > maxSize) {
+                throw new Error('Level winCondition.size must be a size from 1 to ' + maxSize);
+            }
+            break;
+        default:
+            throw new Error('Level winCondition.type must be one of ' + Object.values(WinConditions).join(', '));
+    }
+}
+
+function requireNumber(value, path) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error('Level ' + path + ' must be a number');
+    }
+}
+
+function requirePositive(value, path) {
+    if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+        throw new Error('Level ' + path + ' must be a positive number');
+    }
+}
+
+function requireNonNegative(value, path) {
+    if (typeof value !== 'number' || !(value >= 0) || !Number.isFinite(value)) {
+        throw new Error('Level ' + path + ' must be a number of 0 or more');
+    }
+}
+
+// A coordinate from 0 to size
+function requireWithin(value, path, size) {
+    requireNumber(value, path);
+    if (value < 0 || value > size) {
+        throw new Error('Level ' + path + ' must be from 0 to ' + size);
+    }
+}
+
+// Optional true/false flag
+function requireBoolean(value, path) {
+    if (value !== undefined && typeof value !== 'boolean') {
+        throw new Error('Level ' + path + ' must be true or false');
+    }
+}
+
+// x1, y1 and x2, y2 ends that aren't the same point
+function requireApart(item, path) {
+    if (item.x1 === item.x2 && item.y1 === item.y2) {
+        throw new Error('Level ' + path + ' must not start and end at the same point');
+    }
+}
+
+function requirePoints(points, path, minimum) {
+    if (!Array.isArray(points) || points.length < minimum) {
+        throw new Error('Level ' + path + ' must be an array of at least ' + minimum + ' { x, y } points');
+    }
+    points.forEach((point, index) => {
+        requireNumber(point?.x, path + '[' + index + '].x');
+        requireNumber(point?.y, path + '[' + index + '].y');
+    });
+}
+
+// Static wall layer body for one boundary of a parsed level
+export function createBoundaryBody(boundary, material) {
+    const options = {
+        isStatic: true,
+        layer: 'wall',
+        angle: boundary.angle,
+        friction: boundary.friction ?? material.friction,
+        restitution: boundary.restitution ?? material.restitution,
+        userData: {
+            label: boundary.label || 'wall',
+            render: { ...boundaryRender, ...boundary.render },
+        },
+    };
+
+    switch (boundary.type) {
+        case 'rectangle':
+            return PhysicsBodyFactory.createRectangle(boundary.x, boundary.y, boundary.width, boundary.height, options);
+        case 'circle':
+            return PhysicsBodyFactory.createCircle(boundary.x, boundary.y, boundary.radius, options);
+        case 'polygon':
+            return PhysicsBodyFactory.createPolygon(boundary.x, boundary.y, boundary.vertices, options);
+        case 'edge':
+            return PhysicsBodyFactory.createEdge(boundary.x1, boundary.y1, boundary.x2, boundary.y2, options);
+        case 'chain':
+            return PhysicsBodyFactory.createChain(boundary.x, boundary.y, boundary.vertices, { ...options, loop: boundary.loop });
+    }
+}
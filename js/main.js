@@ -1,4 +1,5 @@
 import { SceneManager } from './screenmanager.js';
+import './scenes.js';
 import { InputHandler } from './input.js';
 
 class Main {
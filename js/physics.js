@@ -28,11 +28,50 @@ export const PhysicsConstants = {
     slowAngularVelocityThreshold: 0.1, // absolute angular velocity threshold
 };
 
+// Named collision layers - which layers each one collides with. Keep the lists symmetric: Planck
+// only lets two fixtures collide when each layer lists the other. Sensor layer fixtures report
+// contacts without pushing anything.
+const CollisionLayerDefinitions = {
+    default: { collidesWith: ['default', 'ball', 'wall', 'sensor'] },
+    ball: { collidesWith: ['default', 'ball', 'wall', 'sensor'] },
+    wall: { collidesWith: ['default', 'ball', 'wall', 'ghost', 'debris'] },
+    ghost: { collidesWith: ['wall'] }, // passes through balls, still lands on the floor
+    sensor: { collidesWith: ['default', 'ball'], isSensor: true },
+    debris: { collidesWith: ['wall'] }, // particles that only bounce off the container
+};
+
+// Layer name -> { category, mask, isSensor } with the Planck filter bits worked out
+export const CollisionLayers = Object.freeze(
+    Object.fromEntries(
+        Object.entries(CollisionLayerDefinitions).map(([name, definition], index, entries) => {
+            const layerNames = entries.map(([layerName]) => layerName);
+            const mask = definition.collidesWith.reduce((bits, other) => bits | (1 << layerNames.indexOf(other)), 0);
+            return [name, Object.freeze({ category: 1 << index, mask: mask, isSensor: definition.isSensor || false })];
+        })
+    )
+);
+
+export function getCollisionLayer(name) {
+    const layer = CollisionLayers[name];
+    if (!layer) {
+        throw new Error('Unknown collision layer: ' + name);
+    }
+    return layer;
+}
+
 export class PhysicsEngine {
-    constructor() {
+    // Solver iterations per step and substeps per update - raise them for accuracy in tall stacks
+    constructor({ velocityIterations = 6, positionIterations = 3, substeps = 1 } = {}) {
         this.world = null;
         this.eventHandlers = new Map();
         this.contactListeners = [];
+
+        this.timeScale = 1;
+        this.setIterations(velocityIterations, positionIterations);
+        this.setSubsteps(substeps);
+
+        // Body -> transform before the last step, for interpolated rendering
+        this.previousTransforms = new Map();
     }
 
     // Initialize the physics engine
@@ -42,7 +81,8 @@ export class PhysicsEngine {
             allowSleep: true, // Disable sleeping completely for now
         });
 
-        // Set up contact listener for event handling
+        // Set up contact listeners for event handling - pre/post-solve fire for every touching
+        // contact every step, so their events are only built when someone is listening
         this.world.on('begin-contact', (contact) => {
             this.handleContactEvent('collisionStart', contact);
         });
@@ -51,28 +91,94 @@ export class PhysicsEngine {
             this.handleContactEvent('collisionEnd', contact);
         });
 
+        this.world.on('pre-solve', (contact) => {
+            this.handleContactEvent('collisionPreSolve', contact);
+        });
+
+        this.world.on('post-solve', (contact, impulse) => {
+            this.handleContactEvent('collisionPostSolve', contact, impulse);
+        });
+
+        // Fires for removeJoint and for joints Planck removes along with one of their bodies
+        this.world.on('remove-joint', (joint) => {
+            this.handleJointRemoved(joint);
+        });
+
         return this;
     }
 
-    // Handle contact events and convert to MatterJS-style events
-    handleContactEvent(eventType, contact) {
-        if (this.eventHandlers.has(eventType)) {
-            const handlers = this.eventHandlers.get(eventType);
+    // Mark the joint's wrappers dead and tell 'jointRemoved' listeners - Planck can publish the same
+    // joint twice when a body goes, so only the first counts
+    handleJointRemoved(joint) {
+        const userData = joint.getUserData();
+        if (!userData || userData.destroyed) {
+            return;
+        }
+        userData.destroyed = true;
 
-            // Create MatterJS-style event object
-            const event = {
-                pairs: [
-                    {
-                        bodyA: contact.getFixtureA().getBody(),
-                        bodyB: contact.getFixtureB().getBody(),
-                    },
-                ],
-            };
+        const handlers = this.eventHandlers.get('jointRemoved');
+        if (handlers) {
+            const event = { type: 'jointRemoved', joint: new PhysicsJoint(joint) };
+            [...handlers].forEach(({ callback }) => callback(event));
+        }
+    }
 
-            handlers.forEach((handler) => {
-                handler(event);
+    // Handle contact events and convert to MatterJS-style events. Each pair carries PhysicsBody
+    // wrappers, their labels, the world normal (pointing from A to B) and the contact points in
+    // pixels - with the solver's normal/tangent impulses on post-solve, zero otherwise.
+    // Pre-solve pairs can be switched off for this step with pair.setEnabled(false).
+    handleContactEvent(eventType, contact, impulse = null) {
+        const handlers = this.eventHandlers.get(eventType);
+        if (!handlers || handlers.length === 0) {
+            return;
+        }
+
+        const fixtureA = contact.getFixtureA();
+        const fixtureB = contact.getFixtureB();
+        const bodyA = new PhysicsBody(fixtureA.getBody());
+        const bodyB = new PhysicsBody(fixtureB.getBody());
+
+        // Sensors and contacts that have just stopped touching have no manifold points
+        const manifold = contact.getWorldManifold(new planck.WorldManifold());
+        const pointCount = contact.getManifold().pointCount;
+        const points = [];
+        for (let i = 0; i < pointCount; i++) {
+            points.push({
+                x: metersToPixels(manifold.points[i].x),
+                y: metersToPixels(manifold.points[i].y),
+                normalImpulse: impulse ? impulse.normalImpulses[i] : 0,
+                tangentImpulse: impulse ? impulse.tangentImpulses[i] : 0,
             });
         }
+
+        const pair = {
+            bodyA: bodyA,
+            bodyB: bodyB,
+            labelA: bodyA.label,
+            labelB: bodyB.label,
+            isSensor: fixtureA.isSensor() || fixtureB.isSensor(),
+            normal: { x: manifold.normal.x, y: manifold.normal.y },
+            points: points,
+            setEnabled: (enabled) => contact.setEnabled(enabled),
+        };
+
+        const event = {
+            type: eventType,
+            pairs: [pair],
+        };
+
+        // Copy - a handler may unsubscribe itself
+        [...handlers].forEach(({ labels, callback }) => {
+            if (!labels) {
+                callback(event);
+                return;
+            }
+
+            const matches = PhysicsUtils.findCollisionByLabels(event, ...labels);
+            if (matches.length > 0) {
+                callback({ ...event, pairs: matches });
+            }
+        });
     }
 
     // Set gravity - convert pixel gravity to meter gravity
@@ -84,17 +190,113 @@ export class PhysicsEngine {
         }
     }
 
-    // Set time scale (not directly supported in Plank, we'll handle this in update)
+    // Set time scale - stretches every step, so 0.5 is slow motion and 2 fast forward
+    // (0 freezes the world)
     setTimeScale(scale) {
-        this.timeScale = scale || 1;
+        this.timeScale = scale >= 0 ? scale : 1;
+    }
+
+    setIterations(velocityIterations, positionIterations) {
+        this.velocityIterations = Math.max(1, Math.round(velocityIterations));
+        this.positionIterations = Math.max(1, Math.round(positionIterations));
+    }
+
+    // Split each update into this many equal world steps - smaller steps keep fast or heavily
+    // stacked bodies from tunnelling and sinking into each other
+    setSubsteps(substeps) {
+        this.substeps = Math.max(1, Math.round(substeps));
+    }
+
+    getStepConfig() {
+        return {
+            timeScale: this.timeScale,
+            velocityIterations: this.velocityIterations,
+            positionIterations: this.positionIterations,
+            substeps: this.substeps,
+        };
     }
 
-    // Update physics simulation
+    // Update physics simulation - stepTime is in ms
     update(stepTime) {
-        if (this.world) {
-            const fixedTimeStep = 1 / 60; // 60 FPS fixed timestep (0.0167 seconds)
-            this.world.step(fixedTimeStep, 6, 3); // Reduced iterations back to original values
+        if (!this.world) {
+            return;
+        }
+
+        this.savePreviousTransforms();
+
+        const scaledTime = (stepTime / 1000) * this.timeScale; // seconds
+        if (scaledTime <= 0) {
+            return;
+        }
+
+        const substepTime = scaledTime / this.substeps;
+        for (let i = 0; i < this.substeps; i++) {
+            this.world.step(substepTime, this.velocityIterations, this.positionIterations);
+        }
+    }
+
+    // Remember where every body was before stepping so renderers can blend towards where it is now
+    savePreviousTransforms() {
+        this.previousTransforms = new Map();
+        for (let body = this.world.getBodyList(); body; body = body.getNext()) {
+            const position = body.getPosition();
+            this.previousTransforms.set(body, { x: position.x, y: position.y, angle: body.getAngle() });
+        }
+    }
+
+    // Pixel position and angle of a body part way between its previous step (alpha 0) and the
+    // current one (alpha 1) - bodies created since the last step are drawn where they are
+    getInterpolatedTransform(body, alpha = 1) {
+        const position = body.getPosition();
+        const angle = body.getAngle();
+        const previous = this.previousTransforms.get(body) || { x: position.x, y: position.y, angle: angle };
+
+        return {
+            x: metersToPixels(previous.x + (position.x - previous.x) * alpha),
+            y: metersToPixels(previous.y + (position.y - previous.y) * alpha),
+            angle: previous.angle + (angle - previous.angle) * alpha,
+        };
+    }
+
+    // Every fixture of a body in pixels, relative to the body origin, ready to be drawn after
+    // translating and rotating to the body transform. Each fixture's render metadata is merged over
+    // the body's render so compound parts only need to say what differs.
+    getBodyShapes(body) {
+        const actualBody = body.body || body;
+        const bodyRender = actualBody.getUserData()?.render || {};
+        const toPixels = (vertex) => ({ x: metersToPixels(vertex.x), y: metersToPixels(vertex.y) });
+
+        const shapes = [];
+        for (let fixture = actualBody.getFixtureList(); fixture; fixture = fixture.getNext()) {
+            const shape = fixture.getShape();
+            const description = {
+                type: shape.getType(),
+                isSensor: fixture.isSensor(),
+                render: { ...bodyRender, ...fixture.getUserData()?.render },
+            };
+
+            switch (description.type) {
+                case 'circle':
+                    description.center = toPixels(shape.m_p);
+                    description.radius = metersToPixels(shape.getRadius());
+                    break;
+                case 'polygon':
+                    description.vertices = shape.m_vertices.slice(0, shape.m_count).map(toPixels);
+                    break;
+                case 'edge':
+                    description.vertices = [toPixels(shape.m_vertex1), toPixels(shape.m_vertex2)];
+                    break;
+                case 'chain':
+                    // A loop repeats its first vertex at the end, so drawing every vertex closes it
+                    description.vertices = shape.m_vertices.slice(0, shape.m_count).map(toPixels);
+                    description.isLoop = shape.m_isLoop;
+                    break;
+            }
+
+            // Planck keeps fixtures newest first - put them back in creation order so parts draw in order
+            shapes.unshift(description);
         }
+        return shapes;
     }
 
     // Add body to world
@@ -133,29 +335,231 @@ export class PhysicsEngine {
         return allBodies.filter((body) => body.getUserData()?.label === label);
     }
 
-    // Event handling
-    on(eventType, callback) {
+    // Remove joint from world - the bodies it connected stay
+    removeJoint(joint) {
+        if (this.world && joint) {
+            const actualJoint = joint.joint || joint;
+            if (!actualJoint.getUserData()?.destroyed) {
+                this.world.destroyJoint(actualJoint);
+            }
+        }
+    }
+
+    // Get all joints from world, wrapped
+    getAllJoints() {
+        if (!this.world) return [];
+
+        const joints = [];
+        for (let joint = this.world.getJointList(); joint; joint = joint.getNext()) {
+            joints.push(new PhysicsJoint(joint));
+        }
+        return joints;
+    }
+
+    // World queries - all take and return pixel coordinates and hand back PhysicsBody wrappers.
+    // options: { filter: (physicsBody) => boolean, includeSensors: false }
+
+    acceptsFixture(fixture, options) {
+        if (fixture.isSensor() && !options.includeSensors) {
+            return false;
+        }
+        return !options.filter || options.filter(new PhysicsBody(fixture.getBody()));
+    }
+
+    toRaycastHit(fixture, point, normal, fraction) {
+        return {
+            body: new PhysicsBody(fixture.getBody()),
+            point: { x: metersToPixels(point.x), y: metersToPixels(point.y) },
+            normal: { x: normal.x, y: normal.y },
+            fraction: fraction, // 0 at from, 1 at to
+        };
+    }
+
+    // First body the segment from -> to passes into, or null
+    raycastClosest(from, to, options = {}) {
+        let closest = null;
+        if (!this.world) return closest;
+
+        this.world.rayCast(
+            planck.Vec2(pixelsToMeters(from.x), pixelsToMeters(from.y)),
+            planck.Vec2(pixelsToMeters(to.x), pixelsToMeters(to.y)),
+            (fixture, point, normal, fraction) => {
+                if (!this.acceptsFixture(fixture, options)) {
+                    return -1; // ignore this fixture and carry on
+                }
+                closest = this.toRaycastHit(fixture, point, normal, fraction);
+                return fraction; // clip the ray so only nearer hits are reported after this
+            }
+        );
+
+        return closest;
+    }
+
+    // Every fixture the segment from -> to passes into, nearest first
+    raycastAll(from, to, options = {}) {
+        const hits = [];
+        if (!this.world) return hits;
+
+        this.world.rayCast(
+            planck.Vec2(pixelsToMeters(from.x), pixelsToMeters(from.y)),
+            planck.Vec2(pixelsToMeters(to.x), pixelsToMeters(to.y)),
+            (fixture, point, normal, fraction) => {
+                if (this.acceptsFixture(fixture, options)) {
+                    hits.push(this.toRaycastHit(fixture, point, normal, fraction));
+                }
+                return 1; // keep going to the end of the segment
+            }
+        );
+
+        return hits.sort((a, b) => a.fraction - b.fraction);
+    }
+
+    // Bodies with a fixture whose bounding box overlaps the rectangle min -> max
+    queryAABB(min, max, options = {}) {
+        const bodies = new Set();
+        if (!this.world) return [];
+
+        const aabb = new planck.AABB(
+            planck.Vec2(pixelsToMeters(Math.min(min.x, max.x)), pixelsToMeters(Math.min(min.y, max.y))),
+            planck.Vec2(pixelsToMeters(Math.max(min.x, max.x)), pixelsToMeters(Math.max(min.y, max.y)))
+        );
+        this.world.queryAABB(aabb, (fixture) => {
+            if (this.acceptsFixture(fixture, options)) {
+                bodies.add(fixture.getBody());
+            }
+            return true;
+        });
+
+        return [...bodies].map((body) => new PhysicsBody(body));
+    }
+
+    // Bodies with a fixture containing the point - for picking with the mouse. Edges and chains
+    // have no inside, so they count when the point is within options.tolerance px (default 4) of them.
+    queryPoint(point, options = {}) {
+        const tolerance = options.tolerance ?? 4;
+        const meterPoint = planck.Vec2(pixelsToMeters(point.x), pixelsToMeters(point.y));
+        const candidates = this.queryAABB(
+            { x: point.x - tolerance, y: point.y - tolerance },
+            { x: point.x + tolerance, y: point.y + tolerance },
+            options
+        );
+
+        return candidates.filter((physicsBody) => {
+            for (let fixture = physicsBody.body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+                if (fixture.isSensor() && !options.includeSensors) {
+                    continue;
+                }
+
+                const type = fixture.getType();
+                if (type === 'edge' || type === 'chain') {
+                    if (this.isNearLineFixture(fixture, meterPoint, pixelsToMeters(tolerance))) {
+                        return true;
+                    }
+                } else if (fixture.testPoint(meterPoint)) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    // True when a meter point is within distance of any segment of an edge or chain fixture
+    isNearLineFixture(fixture, meterPoint, distance) {
+        const shape = fixture.getShape();
+        const transform = fixture.getBody().getTransform();
+        const vertices = shape.getType() === 'edge' ? [shape.m_vertex1, shape.m_vertex2] : shape.m_vertices.slice(0, shape.m_count);
+        const worldVertices = vertices.map((vertex) => planck.Transform.mul(transform, vertex));
+
+        for (let i = 0; i < worldVertices.length - 1; i++) {
+            if (PhysicsUtils.distanceToSegment(meterPoint, worldVertices[i], worldVertices[i + 1]) <= distance) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Sweep a circle of the given radius from -> to and report where it first touches a body:
+    // { body, position (circle centre at contact), point, normal, fraction } or null
+    shapeCastCircle(from, to, radius, options = {}) {
+        if (!this.world) return null;
+
+        const start = planck.Vec2(pixelsToMeters(from.x), pixelsToMeters(from.y));
+        const translation = planck.Vec2(pixelsToMeters(to.x - from.x), pixelsToMeters(to.y - from.y));
+        const meterRadius = pixelsToMeters(radius);
+        const circle = new planck.Circle(meterRadius);
+
+        // Only fixtures somewhere along the swept path can be hit
+        const sweepMin = { x: Math.min(from.x, to.x) - radius, y: Math.min(from.y, to.y) - radius };
+        const sweepMax = { x: Math.max(from.x, to.x) + radius, y: Math.max(from.y, to.y) + radius };
+
+        let closest = null;
+        this.queryAABB(sweepMin, sweepMax, options).forEach((physicsBody) => {
+            const body = physicsBody.body;
+            for (let fixture = body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+                if (fixture.isSensor() && !options.includeSensors) {
+                    continue;
+                }
+
+                const shape = fixture.getShape();
+                for (let child = 0; child < shape.getChildCount(); child++) {
+                    const input = new planck.ShapeCastInput();
+                    input.proxyA.set(shape, child);
+                    input.proxyB.set(circle, 0);
+                    input.transformA.set(body.getTransform());
+                    input.transformB.set(start, 0);
+                    input.translationB.set(translation);
+
+                    const output = new planck.ShapeCastOutput();
+                    if (planck.ShapeCast(output, input) && (!closest || output.lambda < closest.fraction)) {
+                        closest = {
+                            body: physicsBody,
+                            position: {
+                                x: from.x + (to.x - from.x) * output.lambda,
+                                y: from.y + (to.y - from.y) * output.lambda,
+                            },
+                            point: { x: metersToPixels(output.point.x), y: metersToPixels(output.point.y) },
+                            normal: { x: output.normal.x, y: output.normal.y },
+                            fraction: output.lambda,
+                        };
+                    }
+                }
+            }
+        });
+
+        return closest;
+    }
+
+    // Event handling - on(type, callback) or on(type, { labels: ['ball', 'ground'] }, callback) to
+    // only hear about pairs with those labels (either way round, bodyA always has the first label).
+    // A single label matches any pair it is part of. 'jointRemoved' events carry { joint } instead.
+    on(eventType, filterOrCallback, callback) {
+        const handler =
+            typeof filterOrCallback === 'function'
+                ? { labels: null, callback: filterOrCallback }
+                : { labels: filterOrCallback.labels || null, callback: callback };
+
         if (!this.eventHandlers.has(eventType)) {
             this.eventHandlers.set(eventType, []);
         }
-        this.eventHandlers.get(eventType).push(callback);
+        this.eventHandlers.get(eventType).push(handler);
     }
 
     // Remove event handler
     off(eventType, callback) {
         if (this.eventHandlers.has(eventType)) {
             const handlers = this.eventHandlers.get(eventType);
-            const index = handlers.indexOf(callback);
+            const index = handlers.findIndex((handler) => handler.callback === callback);
             if (index > -1) {
                 handlers.splice(index, 1);
             }
         }
     }
 
-    // Cleanup
+    // Cleanup - handlers go first so removing the bodies doesn't fire end-contact events
     destroy() {
         if (this.world) {
             this.eventHandlers.clear();
+            this.getAllBodies().forEach((body) => this.world.destroyBody(body));
             this.world = null;
         }
     }
@@ -218,6 +622,24 @@ export class PhysicsBody {
         return this.body.getType() === 'static';
     }
 
+    // Kinematic bodies move only by the velocity they are given and push dynamic bodies aside
+    isKinematic() {
+        return this.body.getType() === 'kinematic';
+    }
+
+    get mass() {
+        return this.body.getMass();
+    }
+
+    // Impulse in mass x pixels/sec through the centre of mass - changes velocity by impulse / mass
+    applyImpulse(pixelImpulseX, pixelImpulseY) {
+        this.body.applyLinearImpulse(
+            planck.Vec2(pixelsToMeters(pixelImpulseX), pixelsToMeters(pixelImpulseY)),
+            this.body.getWorldCenter(),
+            true
+        );
+    }
+
     // Sleep methods
     setSleeping(sleeping) {
         this.body.setAwake(!sleeping);
@@ -236,6 +658,32 @@ export class PhysicsBody {
         return this.body.getUserData()?.label || '';
     }
 
+    get userData() {
+        return this.body.getUserData() || {};
+    }
+
+    get layer() {
+        return this.body.getUserData()?.layer || 'default';
+    }
+
+    // Move every fixture onto another collision layer - takes effect from the next step
+    setLayer(layerName) {
+        const layer = getCollisionLayer(layerName);
+        for (let fixture = this.body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+            fixture.setFilterData({
+                groupIndex: fixture.getFilterGroupIndex(),
+                categoryBits: layer.category,
+                maskBits: layer.mask,
+            });
+            fixture.setSensor(layer.isSensor);
+        }
+        this.body.setAwake(true);
+
+        const userData = this.body.getUserData() || {};
+        userData.layer = layerName;
+        this.body.setUserData(userData);
+    }
+
     get angle() {
         return this.body.getAngle();
     }
@@ -315,82 +763,168 @@ export class PhysicsBodyFactory {
 
     // Create rectangle body - accepts pixel coordinates and dimensions
     static createRectangle(pixelX, pixelY, pixelWidth, pixelHeight, options = {}) {
-        if (!PhysicsBodyFactory.world) {
-            throw new Error('World not set. Call PhysicsBodyFactory.setWorld(world) first.');
-        }
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, options);
 
-        // Convert pixel coordinates to meters for physics world
-        const meterX = pixelsToMeters(pixelX);
-        const meterY = pixelsToMeters(pixelY);
+        // Create fixture definition with meter dimensions
         const meterWidth = pixelsToMeters(pixelWidth);
         const meterHeight = pixelsToMeters(pixelHeight);
+        body.createFixture(PhysicsBodyFactory.createFixtureDef(new planck.Box(meterWidth / 2, meterHeight / 2), options));
 
-        // Create body definition
-        const bodyDef = {
-            type: options.isStatic ? 'static' : 'dynamic',
-            position: { x: meterX, y: meterY },
-            linearDamping: 0, // Ensure no linear damping for proper bouncing
-            angularDamping: 0, // Ensure no angular damping for proper bouncing
-        };
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
 
-        if (options.angle !== undefined) {
-            bodyDef.angle = options.angle;
+    // Create circle body - accepts pixel coordinates and radius
+    static createCircle(pixelX, pixelY, pixelRadius, options = {}) {
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, options);
+
+        body.createFixture(PhysicsBodyFactory.createFixtureDef(new planck.Circle(pixelsToMeters(pixelRadius)), options));
+
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
+
+    // Create convex polygon body - vertices are pixel offsets from the body position, in either winding
+    static createPolygon(pixelX, pixelY, pixelVertices, options = {}) {
+        const shape = PhysicsBodyFactory.createPolygonShape(pixelVertices);
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, options);
+
+        body.createFixture(PhysicsBodyFactory.createFixtureDef(shape, options));
+
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
+
+    // Create a single line segment between two pixel points - the body sits at its midpoint.
+    // Edges and chains are static unless options.isStatic is false: two of them never collide,
+    // so they only make sense as scenery for solid shapes to hit.
+    static createEdge(pixelX1, pixelY1, pixelX2, pixelY2, options = {}) {
+        const pixelX = (pixelX1 + pixelX2) / 2;
+        const pixelY = (pixelY1 + pixelY2) / 2;
+        const shape = PhysicsBodyFactory.createEdgeShape(
+            { x: pixelX1 - pixelX, y: pixelY1 - pixelY },
+            { x: pixelX2 - pixelX, y: pixelY2 - pixelY }
+        );
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, { ...options, isStatic: options.isStatic ?? true });
+
+        body.createFixture(PhysicsBodyFactory.createFixtureDef(shape, options));
+
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
+
+    // Create a connected run of segments through pixel offsets from the body position - curved
+    // floors, ramps and funnels. options.loop joins the last vertex back to the first.
+    static createChain(pixelX, pixelY, pixelVertices, options = {}) {
+        const shape = PhysicsBodyFactory.createChainShape(pixelVertices, options.loop || false);
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, { ...options, isStatic: options.isStatic ?? true });
+
+        body.createFixture(PhysicsBodyFactory.createFixtureDef(shape, options));
+
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
+
+    // Create one rigid body from several shapes. Each part is one of
+    //   { type: 'circle', x, y, radius }
+    //   { type: 'rectangle', x, y, width, height, angle }
+    //   { type: 'polygon', vertices }
+    //   { type: 'edge', x1, y1, x2, y2 }
+    //   { type: 'chain', vertices, loop }
+    // in pixels relative to the body position. A part may override the body's density, friction,
+    // restitution, layer and isSensor, and carry its own render metadata.
+    static createCompound(pixelX, pixelY, parts, options = {}) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            throw new Error('Compound body needs at least one part');
         }
 
-        const body = PhysicsBodyFactory.world.createBody(bodyDef);
+        const fixtureDefs = parts.map((part) => {
+            const fixtureDef = PhysicsBodyFactory.createFixtureDef(PhysicsBodyFactory.createPartShape(part), {
+                ...options,
+                ...part,
+            });
+            if (part.render) {
+                fixtureDef.userData = { render: part.render };
+            }
+            return fixtureDef;
+        });
 
-        // Create fixture definition with meter dimensions
-        const fixtureDef = {
-            shape: new planck.Box(meterWidth / 2, meterHeight / 2),
-            density: options.density || 1,
-            friction: options.friction || 0.3,
-            restitution: options.restitution || 0.1,
-        };
+        const body = PhysicsBodyFactory.createBody(pixelX, pixelY, options);
+        fixtureDefs.forEach((fixtureDef) => body.createFixture(fixtureDef));
 
-        body.createFixture(fixtureDef);
+        return PhysicsBodyFactory.wrapBody(body, options);
+    }
 
-        const userData = {
-            id: PhysicsBodyFactory.generateId(),
-            ...options.userData,
-        };
+    static createPartShape(part) {
+        const offset = planck.Vec2(pixelsToMeters(part.x || 0), pixelsToMeters(part.y || 0));
+
+        switch (part.type) {
+            case 'circle':
+                return new planck.Circle(offset, pixelsToMeters(part.radius));
+            case 'rectangle':
+                return new planck.Box(pixelsToMeters(part.width) / 2, pixelsToMeters(part.height) / 2, offset, part.angle || 0);
+            case 'polygon':
+                return PhysicsBodyFactory.createPolygonShape(part.vertices);
+            case 'edge':
+                return PhysicsBodyFactory.createEdgeShape({ x: part.x1, y: part.y1 }, { x: part.x2, y: part.y2 });
+            case 'chain':
+                return PhysicsBodyFactory.createChainShape(part.vertices, part.loop || false);
+            default:
+                throw new Error('Unknown compound part type: ' + part.type);
+        }
+    }
 
-        body.setUserData(userData);
+    static createPolygonShape(pixelVertices) {
+        const maxVertices = planck.Settings.maxPolygonVertices;
+        if (!Array.isArray(pixelVertices) || pixelVertices.length < 3 || pixelVertices.length > maxVertices) {
+            throw new Error('Polygon needs between 3 and ' + maxVertices + ' vertices');
+        }
+        if (!PhysicsUtils.isConvex(pixelVertices)) {
+            throw new Error('Polygon vertices must form a convex shape');
+        }
 
-        return new PhysicsBody(body);
+        return new planck.Polygon(pixelVertices.map((vertex) => planck.Vec2(pixelsToMeters(vertex.x), pixelsToMeters(vertex.y))));
     }
 
-    // Create circle body - accepts pixel coordinates and radius
-    static createCircle(pixelX, pixelY, pixelRadius, options = {}) {
+    static createEdgeShape(pixelStart, pixelEnd) {
+        return new planck.Edge(
+            planck.Vec2(pixelsToMeters(pixelStart.x), pixelsToMeters(pixelStart.y)),
+            planck.Vec2(pixelsToMeters(pixelEnd.x), pixelsToMeters(pixelEnd.y))
+        );
+    }
+
+    static createChainShape(pixelVertices, loop) {
+        if (!Array.isArray(pixelVertices) || pixelVertices.length < (loop ? 3 : 2)) {
+            throw new Error('Chain needs at least ' + (loop ? 3 : 2) + ' vertices');
+        }
+
+        return new planck.Chain(
+            pixelVertices.map((vertex) => planck.Vec2(pixelsToMeters(vertex.x), pixelsToMeters(vertex.y))),
+            loop
+        );
+    }
+
+    // Planck body at a pixel position, before any fixtures are added
+    static createBody(pixelX, pixelY, options) {
         if (!PhysicsBodyFactory.world) {
             throw new Error('World not set. Call PhysicsBodyFactory.setWorld(world) first.');
         }
 
-        // Convert pixel coordinates to meters for physics world
-        const meterX = pixelsToMeters(pixelX);
-        const meterY = pixelsToMeters(pixelY);
-        const meterRadius = pixelsToMeters(pixelRadius);
-
-        // Create body definition
+        // Create body definition - physics world operates in meters
         const bodyDef = {
-            type: options.isStatic ? 'static' : 'dynamic',
-            position: { x: meterX, y: meterY },
+            type: options.isStatic ? 'static' : options.isKinematic ? 'kinematic' : 'dynamic',
+            position: { x: pixelsToMeters(pixelX), y: pixelsToMeters(pixelY) },
             linearDamping: options.linearDamping ?? 0,
             angularDamping: options.angularDamping ?? 0,
         };
 
-        const body = PhysicsBodyFactory.world.createBody(bodyDef);
-
-        const fixtureDef = {
-            shape: new planck.Circle(meterRadius),
-            density: options.density || 1,
-            friction: options.friction || 0.3,
-            restitution: options.restitution || 0.1,
-        };
+        if (options.angle !== undefined) {
+            bodyDef.angle = options.angle;
+        }
 
-        body.createFixture(fixtureDef);
+        return PhysicsBodyFactory.world.createBody(bodyDef);
+    }
 
+    // Attach id, layer and the caller's userData (label, render metadata...) and wrap the body
+    static wrapBody(body, options) {
         const userData = {
             id: PhysicsBodyFactory.generateId(),
+            layer: options.layer || 'default',
             ...options.userData,
         };
 
@@ -399,6 +933,34 @@ export class PhysicsBodyFactory {
         return new PhysicsBody(body);
     }
 
+    // Fixture settings shared by every shape - material, plus the filter bits of options.layer
+    // (a CollisionLayers name). options.group overrides the layers: bodies sharing a positive group
+    // always collide, a negative one never.
+    static createFixtureDef(shape, options = {}) {
+        const layer = getCollisionLayer(options.layer || 'default');
+
+        return {
+            shape: shape,
+            density: options.density ?? 1,
+            friction: options.friction ?? 0.3,
+            restitution: options.restitution ?? 0.1,
+            isSensor: options.isSensor || layer.isSensor,
+            filterCategoryBits: layer.category,
+            filterMaskBits: layer.mask,
+            filterGroupIndex: options.group || 0,
+        };
+    }
+
+    // Create static sensor rectangle - reports begin/end contacts but never collides
+    static createSensor(pixelX, pixelY, pixelWidth, pixelHeight, options = {}) {
+        return PhysicsBodyFactory.createRectangle(pixelX, pixelY, pixelWidth, pixelHeight, {
+            layer: 'sensor',
+            ...options,
+            isStatic: true,
+            isSensor: true,
+        });
+    }
+
     // Generate unique ID for bodies
     static idCounter = 1;
     static generateId() {
@@ -406,30 +968,372 @@ export class PhysicsBodyFactory {
     }
 }
 
+// Wrapper for Planck joints - anchors, lengths and translations in pixels, angles in radians.
+// Motor torques and forces stay in Planck units since they depend on body mass.
+export class PhysicsJoint {
+    constructor(joint) {
+        this.joint = joint;
+    }
+
+    // 'revolute', 'prismatic', 'distance', 'weld', 'rope' or 'mouse'
+    get type() {
+        return this.joint.getType().replace('-joint', '');
+    }
+
+    get id() {
+        return this.joint.getUserData()?.id;
+    }
+
+    get label() {
+        return this.joint.getUserData()?.label;
+    }
+
+    get userData() {
+        return this.joint.getUserData() || {};
+    }
+
+    // True once the joint has left the world - removed directly or with one of its bodies
+    get destroyed() {
+        return this.joint.getUserData()?.destroyed || false;
+    }
+
+    get bodyA() {
+        return new PhysicsBody(this.joint.getBodyA());
+    }
+
+    get bodyB() {
+        return new PhysicsBody(this.joint.getBodyB());
+    }
+
+    // World anchor positions in pixels
+    getAnchorA() {
+        const anchor = this.joint.getAnchorA();
+        return { x: metersToPixels(anchor.x), y: metersToPixels(anchor.y) };
+    }
+
+    getAnchorB() {
+        const anchor = this.joint.getAnchorB();
+        return { x: metersToPixels(anchor.x), y: metersToPixels(anchor.y) };
+    }
+
+    // Motors - revolute speeds are radians/sec, prismatic speeds pixels/sec
+    enableMotor(enabled) {
+        this.requireType('motor', 'revolute', 'prismatic');
+        this.joint.enableMotor(enabled);
+        this.joint.getBodyB().setAwake(true);
+    }
+
+    isMotorEnabled() {
+        this.requireType('motor', 'revolute', 'prismatic');
+        return this.joint.isMotorEnabled();
+    }
+
+    setMotorSpeed(speed) {
+        this.requireType('motor', 'revolute', 'prismatic');
+        this.joint.setMotorSpeed(this.type === 'prismatic' ? pixelsToMeters(speed) : speed);
+        this.joint.getBodyB().setAwake(true);
+    }
+
+    getMotorSpeed() {
+        this.requireType('motor', 'revolute', 'prismatic');
+        const speed = this.joint.getMotorSpeed();
+        return this.type === 'prismatic' ? metersToPixels(speed) : speed;
+    }
+
+    setMaxMotorTorque(torque) {
+        this.requireType('motor torque', 'revolute');
+        this.joint.setMaxMotorTorque(torque);
+    }
+
+    setMaxMotorForce(force) {
+        this.requireType('motor force', 'prismatic');
+        this.joint.setMaxMotorForce(force);
+    }
+
+    // Limits - revolute limits are angles, prismatic limits pixels along the axis
+    enableLimit(enabled) {
+        this.requireType('limit', 'revolute', 'prismatic');
+        this.joint.enableLimit(enabled);
+    }
+
+    isLimitEnabled() {
+        this.requireType('limit', 'revolute', 'prismatic');
+        return this.joint.isLimitEnabled();
+    }
+
+    setLimits(lower, upper) {
+        this.requireType('limit', 'revolute', 'prismatic');
+        if (this.type === 'prismatic') {
+            this.joint.setLimits(pixelsToMeters(lower), pixelsToMeters(upper));
+        } else {
+            this.joint.setLimits(lower, upper);
+        }
+    }
+
+    getLimits() {
+        this.requireType('limit', 'revolute', 'prismatic');
+        const lower = this.joint.getLowerLimit();
+        const upper = this.joint.getUpperLimit();
+        return this.type === 'prismatic'
+            ? { lower: metersToPixels(lower), upper: metersToPixels(upper) }
+            : { lower: lower, upper: upper };
+    }
+
+    // Current angle of a revolute joint, or translation of a prismatic one in pixels
+    getJointValue() {
+        this.requireType('joint value', 'revolute', 'prismatic');
+        return this.type === 'prismatic' ? metersToPixels(this.joint.getJointTranslation()) : this.joint.getJointAngle();
+    }
+
+    // Rest length of a distance joint, or the most a rope can stretch
+    setLength(pixelLength) {
+        this.requireType('length', 'distance', 'rope');
+        if (this.type === 'rope') {
+            this.joint.setMaxLength(pixelsToMeters(pixelLength));
+        } else {
+            this.joint.setLength(pixelsToMeters(pixelLength));
+        }
+    }
+
+    getLength() {
+        this.requireType('length', 'distance', 'rope');
+        return metersToPixels(this.type === 'rope' ? this.joint.getMaxLength() : this.joint.getLength());
+    }
+
+    // Where a mouse joint is pulling its body towards
+    setTarget(pixelX, pixelY) {
+        this.requireType('target', 'mouse');
+        this.joint.setTarget(planck.Vec2(pixelsToMeters(pixelX), pixelsToMeters(pixelY)));
+    }
+
+    requireType(feature, ...types) {
+        if (!types.includes(this.type)) {
+            throw new Error('A ' + this.type + ' joint has no ' + feature);
+        }
+    }
+}
+
+export class PhysicsJointFactory {
+    // Store reference to the world so we can create joints
+    static world = null;
+
+    static setWorld(world) {
+        PhysicsJointFactory.world = world;
+    }
+
+    // Hinge at a world pixel point - flippers, paddles, pendulums.
+    // options: enableMotor, motorSpeed (radians/sec), maxMotorTorque, enableLimit, lowerAngle, upperAngle
+    static createRevolute(bodyA, bodyB, pixelAnchor, options = {}) {
+        const joint = new planck.RevoluteJoint(
+            {
+                enableMotor: options.enableMotor || false,
+                motorSpeed: options.motorSpeed || 0,
+                maxMotorTorque: options.maxMotorTorque || 0,
+                enableLimit: options.enableLimit || false,
+                lowerAngle: options.lowerAngle || 0,
+                upperAngle: options.upperAngle || 0,
+                collideConnected: options.collideConnected || false,
+            },
+            PhysicsJointFactory.getPlanckBody(bodyA),
+            PhysicsJointFactory.getPlanckBody(bodyB),
+            PhysicsJointFactory.toMeters(pixelAnchor)
+        );
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Slider along a world axis through a pixel point - moving platforms, pistons.
+    // options: enableMotor, motorSpeed (pixels/sec), maxMotorForce, enableLimit,
+    // lowerTranslation, upperTranslation (pixels)
+    static createPrismatic(bodyA, bodyB, pixelAnchor, axis, options = {}) {
+        const joint = new planck.PrismaticJoint(
+            {
+                enableMotor: options.enableMotor || false,
+                motorSpeed: pixelsToMeters(options.motorSpeed || 0),
+                maxMotorForce: options.maxMotorForce || 0,
+                enableLimit: options.enableLimit || false,
+                lowerTranslation: pixelsToMeters(options.lowerTranslation || 0),
+                upperTranslation: pixelsToMeters(options.upperTranslation || 0),
+                collideConnected: options.collideConnected || false,
+            },
+            PhysicsJointFactory.getPlanckBody(bodyA),
+            PhysicsJointFactory.getPlanckBody(bodyB),
+            PhysicsJointFactory.toMeters(pixelAnchor),
+            planck.Vec2(axis.x, axis.y)
+        );
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Keeps two world pixel points a fixed distance apart - the current one unless options.length.
+    // options.frequencyHz above 0 makes it a spring, damped by options.dampingRatio
+    static createDistance(bodyA, bodyB, pixelAnchorA, pixelAnchorB, options = {}) {
+        const joint = new planck.DistanceJoint(
+            {
+                frequencyHz: options.frequencyHz || 0,
+                dampingRatio: options.dampingRatio || 0,
+                collideConnected: options.collideConnected || false,
+            },
+            PhysicsJointFactory.getPlanckBody(bodyA),
+            PhysicsJointFactory.getPlanckBody(bodyB),
+            PhysicsJointFactory.toMeters(pixelAnchorA),
+            PhysicsJointFactory.toMeters(pixelAnchorB)
+        );
+
+        if (options.length !== undefined) {
+            joint.setLength(pixelsToMeters(options.length));
+        }
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Glues two bodies together at a world pixel point. options.frequencyHz above 0 lets it flex.
+    static createWeld(bodyA, bodyB, pixelAnchor, options = {}) {
+        const joint = new planck.WeldJoint(
+            {
+                frequencyHz: options.frequencyHz || 0,
+                dampingRatio: options.dampingRatio || 0,
+                collideConnected: options.collideConnected || false,
+            },
+            PhysicsJointFactory.getPlanckBody(bodyA),
+            PhysicsJointFactory.getPlanckBody(bodyB),
+            PhysicsJointFactory.toMeters(pixelAnchor)
+        );
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Stops two world pixel points getting further apart than options.maxLength (default the
+    // current distance) but lets them come together - chains of balls, hanging weights
+    static createRope(bodyA, bodyB, pixelAnchorA, pixelAnchorB, options = {}) {
+        const planckBodyA = PhysicsJointFactory.getPlanckBody(bodyA);
+        const planckBodyB = PhysicsJointFactory.getPlanckBody(bodyB);
+        const anchorA = PhysicsJointFactory.toMeters(pixelAnchorA);
+        const anchorB = PhysicsJointFactory.toMeters(pixelAnchorB);
+
+        const joint = new planck.RopeJoint(
+            {
+                localAnchorA: planckBodyA.getLocalPoint(anchorA),
+                localAnchorB: planckBodyB.getLocalPoint(anchorB),
+                maxLength:
+                    options.maxLength !== undefined ? pixelsToMeters(options.maxLength) : planck.Vec2.distance(anchorA, anchorB),
+                collideConnected: options.collideConnected || false,
+            },
+            planckBodyA,
+            planckBodyB
+        );
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Drags body towards a pixel target (move it with setTarget) - groundBody is any static body.
+    // options: maxForce (default 1000 times the body's mass), frequencyHz, dampingRatio
+    static createMouse(groundBody, body, pixelTarget, options = {}) {
+        const planckBody = PhysicsJointFactory.getPlanckBody(body);
+
+        const joint = new planck.MouseJoint(
+            {
+                maxForce: options.maxForce ?? 1000 * planckBody.getMass(),
+                frequencyHz: options.frequencyHz ?? 5,
+                dampingRatio: options.dampingRatio ?? 0.7,
+            },
+            PhysicsJointFactory.getPlanckBody(groundBody),
+            planckBody,
+            PhysicsJointFactory.toMeters(pixelTarget)
+        );
+
+        return PhysicsJointFactory.addJoint(joint, options);
+    }
+
+    // Accept PhysicsBody wrappers or raw Planck bodies
+    static getPlanckBody(body) {
+        return body.body || body;
+    }
+
+    static toMeters(pixelPoint) {
+        return planck.Vec2(pixelsToMeters(pixelPoint.x), pixelsToMeters(pixelPoint.y));
+    }
+
+    static addJoint(joint, options) {
+        if (!PhysicsJointFactory.world) {
+            throw new Error('World not set. Call PhysicsJointFactory.setWorld(world) first.');
+        }
+
+        joint.setUserData({
+            id: PhysicsJointFactory.generateId(),
+            destroyed: false,
+            ...options.userData,
+        });
+
+        PhysicsJointFactory.world.createJoint(joint);
+
+        return new PhysicsJoint(joint);
+    }
+
+    // Generate unique ID for joints
+    static idCounter = 1;
+    static generateId() {
+        return PhysicsJointFactory.idCounter++;
+    }
+}
+
 // Utility class for physics-related helpers
 export class PhysicsUtils {
-    // Check collision between bodies in an event
-    // static getCollisionPairs(event) {
-    //     return event.pairs.map((pair) => ({
-    //         bodyA: new PhysicsBody(pair.bodyA),
-    //         bodyB: new PhysicsBody(pair.bodyB),
-    //     }));
-    // }
-    // Find collision pairs with specific labels
-    // static findCollisionByLabels(event, labelA, labelB) {
-    //     const results = [];
-    //     event.pairs.forEach((pair) => {
-    //         const bodyA = pair.bodyA;
-    //         const bodyB = pair.bodyB;
-    //         const labelAData = bodyA.getUserData()?.label || '';
-    //         const labelBData = bodyB.getUserData()?.label || '';
-    //         if ((labelAData === labelA && labelBData === labelB) || (labelAData === labelB && labelBData === labelA)) {
-    //             results.push({
-    //                 bodyA: new PhysicsBody(bodyA),
-    //                 bodyB: new PhysicsBody(bodyB),
-    //             });
-    //         }
-    //     });
-    //     return results;
-    // }
+    // True when the vertices turn the same way at every corner - either winding is accepted
+    static isConvex(vertices) {
+        let sign = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const c = vertices[(i + 2) % vertices.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) {
+                    return false;
+                }
+                sign = Math.sign(cross);
+            }
+        }
+        return sign !== 0;
+    }
+
+    // Shortest distance from point p to the segment a -> b, in whatever units they are given in
+    static distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    // Every pair in a collision event
+    static getCollisionPairs(event) {
+        return event.pairs;
+    }
+
+    // Pairs in a collision event between bodies with these labels, turned round where needed so
+    // bodyA has labelA. Without labelB any pair involving labelA matches.
+    static findCollisionByLabels(event, labelA, labelB) {
+        const results = [];
+        event.pairs.forEach((pair) => {
+            if (pair.labelA === labelA && (labelB === undefined || pair.labelB === labelB)) {
+                results.push(pair);
+            } else if (pair.labelB === labelA && (labelB === undefined || pair.labelA === labelB)) {
+                results.push(PhysicsUtils.swapPair(pair));
+            }
+        });
+        return results;
+    }
+
+    // The same pair seen from bodyB - the normal flips to keep pointing from A to B
+    static swapPair(pair) {
+        return {
+            ...pair,
+            bodyA: pair.bodyB,
+            bodyB: pair.bodyA,
+            labelA: pair.labelB,
+            labelB: pair.labelA,
+            normal: { x: -pair.normal.x, y: -pair.normal.y },
+        };
+    }
 }
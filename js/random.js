@@ -0,0 +1,37 @@
+// Seeded Random Module - all gameplay randomness goes through here so a run can be
+// reproduced from its seed (mulberry32 generator)
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    // Picking a fresh seed is the only place Math.random is allowed
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x7fffffff);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Rewind to the start of the sequence for the current seed
+    reset() {
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer from min to max inclusive
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+}
@@ -0,0 +1,100 @@
+// Replay Module - records the seed plus every game action stamped with the physics step
+// it was applied on, which is enough to re-run a game exactly
+import { downloadJson, pickJsonFile } from './fileio.js';
+import { DifficultyProfiles } from './difficulty.js';
+import { parseLevel } from './levels.js';
+
+export const ReplayVersion = 1;
+
+// Everything a player can do that changes the game
+export const GameActions = Object.freeze({
+    moveLeft: 'moveLeft',
+    moveRight: 'moveRight',
+    drop: 'drop',
+    hold: 'hold',
+});
+
+export class ReplayRecorder {
+    constructor() {
+        this.start(0, 'Medium', null);
+    }
+
+    // The whole parsed level goes in the replay, so it still plays back if the level file changes
+    start(seed, difficulty, level) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.level = level;
+        this.actions = [];
+    }
+
+    record(step, action) {
+        this.actions.push([step, action]);
+    }
+
+    getReplay(stepCount) {
+        return {
+            version: ReplayVersion,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            level: this.level,
+            stepCount: stepCount,
+            actions: this.actions.map(([step, action]) => [step, action]),
+        };
+    }
+}
+
+// Check an imported replay - throws an Error describing the first problem found
+export function parseReplay(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Replay must be a JSON object');
+    }
+    if (data.version !== ReplayVersion) {
+        throw new Error('Unsupported replay version ' + data.version + ', expected ' + ReplayVersion);
+    }
+    if (!Number.isInteger(data.seed) || data.seed < 0) {
+        throw new Error('Replay seed must be a non-negative integer');
+    }
+    if (!DifficultyProfiles[data.difficulty]) {
+        throw new Error('Replay difficulty must be one of ' + Object.keys(DifficultyProfiles).join(', '));
+    }
+    if (!Number.isInteger(data.stepCount) || data.stepCount < 0) {
+        throw new Error('Replay stepCount must be a non-negative integer');
+    }
+    if (!Array.isArray(data.actions)) {
+        throw new Error('Replay actions must be an array');
+    }
+
+    const validActions = Object.values(GameActions);
+    let lastStep = 0;
+    data.actions.forEach((entry, index) => {
+        if (!Array.isArray(entry) || entry.length !== 2) {
+            throw new Error('Replay action ' + index + ' must be a [step, action] pair');
+        }
+        const [step, action] = entry;
+        if (!Number.isInteger(step) || step < lastStep || step > data.stepCount) {
+            throw new Error('Replay action ' + index + ' has an out of order step ' + step);
+        }
+        if (!validActions.includes(action)) {
+            throw new Error('Replay action ' + index + ' is unknown: ' + action);
+        }
+        lastStep = step;
+    });
+
+    // Replays from before levels have none and play on the default level
+    if (data.level === undefined || data.level === null) {
+        return data;
+    }
+    try {
+        return { ...data, level: parseLevel(data.level) };
+    } catch (error) {
+        throw new Error('Replay level is invalid: ' + error.message);
+    }
+}
+
+export function exportReplay(replay) {
+    downloadJson(replay, 'ohballs-replay-' + replay.seed + '.json');
+}
+
+export function importReplay() {
+    return pickJsonFile().then((data) => parseReplay(data));
+}
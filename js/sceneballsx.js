@@ -1,24 +1,27 @@
 import { SceneBase } from './scenebase.js';
-import { BallManager } from './ball.js';
-import { PhysicsEngine, PhysicsBodyFactory, PhysicsUtils, metersToPixels } from './physics.js';
-import { wallThickness } from './constants.js';
+import { Ball, BallManager } from './ball.js';
+import { ScoreModel } from './score.js';
+import { SeededRandom } from './random.js';
+import { GameActions, ReplayRecorder } from './replay.js';
+import { DifficultyProfiles, getDifficultyProfile } from './difficulty.js';
+import { PhysicsEngine, PhysicsBodyFactory, PhysicsJointFactory, PhysicsUtils } from './physics.js';
+import { createLevelElement } from './levelelements.js';
+import { parseLevel, createBoundaryBody, WinConditions } from './levels.js';
+import { wallThickness, GameModes } from './constants.js';
 import { fixedTimeStep } from './constants.js';
 
 export class SceneBallsX extends SceneBase {
-    constructor(canvas, manager) {
+    constructor(canvas, manager, random = manager.random) {
         super(manager);
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.inputHandler = null;
 
-        this.ballManager = new BallManager(this);
+        // Seeded generator - all gameplay randomness comes from here
+        this.random = random;
+        this.ballManager = new BallManager(this, this.random);
 
-        this.physics = new PhysicsEngine().create();
-        this.physics.setGravity(0, 300); // Gentler gravity for relaxed gameplay
-        this.physics.setTimeScale(1);
-
-        // Set world reference in factory
-        PhysicsBodyFactory.setWorld(this.physics.world);
+        this.physics = null;
 
         this.clock = {
             deltaTime: 0,
@@ -28,19 +31,98 @@ export class SceneBallsX extends SceneBase {
             cachedFPS: 0,
             stepCount: 0,
             cachedStepCount: 0,
+            gameStep: 0, // physics steps since the game started - input is stamped with this
+            gameTime: 0, // ms of simulated time, advances one fixed step at a time
         };
 
-        // Exit confirmation dialog state
-        this.showExitDialog = false;
-        this.exitToMenu = false;
-        this.dialogSelectedOption = 1; // 0 = Exit, 1 = Return (default focus on Return)
-        this.dialogOptions = ['Exit', 'Return'];
+        // Game actions wait here until the next physics step so they can be replayed exactly
+        this.pendingActions = [];
+        this.recorder = new ReplayRecorder();
 
-        this.setupBoundaries();
-        this.setupEventHandlers();
+        this.mode = GameModes.classic;
+        this.score = new ScoreModel();
+
+        // Game over rules - a settled ball above the danger line for the grace period ends the game
+        this.rules = {
+            dangerLineY: 140, // px from the top of the canvas, below the spawn height - set by the difficulty
+            dangerGracePeriod: 3000, // ms of game time
+            settledSpeed: 30, // px/s - slower than this counts as settled
+        };
+        this.dangerBalls = new Map(); // Ball -> game time it settled above the line
+        this.gameOver = false;
+        this.won = false; // the game ended by meeting the level's win condition
+        this.largestBall = 0;
+
+        // Parsed level being played - assets aren't loaded yet, the first new game picks the default
+        this.level = null;
+
+        // Pegs, ramps, platforms... inside the container - they go with the world they were built in
+        this.levelElements = [];
+        this.boundaryBodies = []; // one per level boundary, in the level's order
+
+        // Settings aren't available yet - enter() switches to the selected difficulty
+        this.setDifficulty(DifficultyProfiles.Medium);
+        this.recorder.start(this.random.seed, this.difficulty.name);
+
+        this.createWorld();
+        this.setupWindowEventHandlers();
 
         // Initialize accumulator for fixed timestep physics
         this._physicsAccumulator = 0;
+        this.renderAlpha = 1; // how far the frame being drawn is between the last step and the next
+
+        // px the aim guide's cast is narrowed by - more than Planck's polygon skin
+        this.aimGuideInset = 2;
+    }
+
+    // Pause automatically when the player can't be playing
+    setupWindowEventHandlers() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.manager.currentScene === this) {
+                this.pause();
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', () => {
+            if (this.manager.currentScene === this) {
+                this.pause();
+            }
+        });
+    }
+
+    // Push the pause overlay - physics and the BallManager timers stay frozen while it is up
+    pause() {
+        if (this.gameOver || this.manager.currentScene !== this) {
+            return;
+        }
+        this.manager.pushScene('pause');
+    }
+
+    // Build a fresh Planck world - a new game never reuses the old one, so contact ordering
+    // and therefore replays only depend on the seed and the recorded actions
+    createWorld() {
+        if (this.physics) {
+            // Balls can still be referenced (current ball, danger tracking) - retire them with the world
+            this.getAllBalls().forEach((ball) => {
+                ball.destroyed = true;
+            });
+            this.physics.destroy();
+        }
+        this.levelElements = [];
+        this.boundaryBodies = [];
+
+        this.physics = new PhysicsEngine().create();
+        this.physics.setGravity(0, this.rules.gravity);
+        this.physics.setTimeScale(1);
+
+        // Set world reference in factory
+        PhysicsBodyFactory.setWorld(this.physics.world);
+        PhysicsJointFactory.setWorld(this.physics.world);
+
+        if (this.level) {
+            this.setupLevel();
+        }
+        this.setupEventHandlers();
     }
 
     getSceneStateHtml() {
@@ -53,11 +135,29 @@ export class SceneBallsX extends SceneBase {
             this.clock.stepCount = 0;
             this.clock.lastStatsUpdate = now;
         }
+        const stepConfig = this.physics.getStepConfig();
         const vHtml = `
             <strong>Scene: BallsX</strong><br>
+            Level: ${this.level?.name},&nbsp;
+            Seed: ${this.random.seed},&nbsp;
+            Step: ${this.clock.gameStep}<br>
+            Difficulty: ${this.difficulty.name},&nbsp;
+            Gravity: ${this.rules.gravity},&nbsp;
+            Cooldown: ${this.difficulty.dropCooldown}ms,&nbsp;
+            Weights: ${this.difficulty.sizeWeights.join('/')},&nbsp;
+            Restitution: ${this.difficulty.restitution},&nbsp;
+            Danger Line: ${this.difficulty.dangerLineY},&nbsp;
+            Move: ${this.difficulty.moveSpeed}<br>
             Delta Time: ${this.clock.cachedDeltaTime}ms,&nbsp;
             FPS: ${this.clock.cachedFPS},&nbsp;
-            StepsPS: ${this.clock.cachedStepCount}
+            StepsPS: ${this.clock.cachedStepCount}<br>
+            Time Scale: ${stepConfig.timeScale},&nbsp;
+            Iterations: ${stepConfig.velocityIterations}/${stepConfig.positionIterations},&nbsp;
+            Substeps: ${stepConfig.substeps}<br>
+            Score: ${this.score.score},&nbsp;
+            Multiplier: x${this.score.multiplier},&nbsp;
+            Chain: ${this.score.chain},&nbsp;
+            Best: ${this.score.bestScore}
             <br><hr style="border: none; border-top: 1px solid #00ff00; margin-top: 5px; margin-bottom: 5px;">
             ${this.ballManager.getBallsStateHtml()}
         `;
@@ -66,340 +166,670 @@ export class SceneBallsX extends SceneBase {
     }
 
     setupEventHandlers() {
-        this.physics.on('collisionStart', (event) => {
-            // const collisionPairs = PhysicsUtils.getCollisionPairs(event);
-            // collisionPairs.forEach(({ bodyA, bodyB }) => {
-            //     // Check for ball-ball collisions
-            //     const ballBodyA = bodyA.label === 'ball' ? bodyA : null;
-            //     const ballBodyB = bodyB.label === 'ball' ? bodyB : null;
-            //     // if (ballBodyA && ballBodyB) {
-            //     //     const ballA = ballBodyA.getUserData().ball;
-            //     //     const ballB = ballBodyB.getUserData().ball;
-            //     // }
-            // });
+        // Equal sized balls merge into the next size up
+        this.physics.on('collisionStart', { labels: ['ball', 'ball'] }, (event) => {
+            event.pairs.forEach(({ bodyA, bodyB }) => {
+                const ballA = bodyA.userData.ball;
+                const ballB = bodyB.userData.ball;
+                if (ballA.size === ballB.size) {
+                    this.ballManager.queueMerge(ballA, ballB);
+                }
+            });
+        });
+
+        // Track balls touching the danger line sensor
+        this.physics.on('collisionStart', { labels: ['dangerline', 'ball'] }, (event) => {
+            event.pairs.forEach(({ bodyB }) => {
+                this.dangerBalls.set(bodyB.userData.ball, this.clock.gameTime);
+            });
         });
 
-        this.physics.on('collisionEnd', (event) => {
-            // const ballGroundCollisions = PhysicsUtils.findCollisionByLabels(event, 'ball', 'ground');
-            // ballGroundCollisions.forEach(({ bodyA, bodyB }) => {
-            //     const ball = bodyA.label === 'ball' ? bodyA : bodyB;
-            // });
+        this.physics.on('collisionEnd', { labels: ['dangerline', 'ball'] }, (event) => {
+            event.pairs.forEach(({ bodyB }) => {
+                this.dangerBalls.delete(bodyB.userData.ball);
+            });
         });
     }
 
-    setupBoundaries() {
-        // Use shared wallThickness constant
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        const restitution = 0.7;
-        const friction = 0.5;
+    // Build the level's boundaries and obstacles into the new world
+    setupLevel() {
+        const level = this.level;
+        if (level.width !== this.canvas.width || level.height !== this.canvas.height) {
+            const canvasSize = this.canvas.width + 'x' + this.canvas.height;
+            throw new Error(`Level ${level.name} is ${level.width}x${level.height} but the canvas is ${canvasSize}`);
+        }
 
-        const renderGround = {
-            fillStyle: '#00ffff',
-            strokeStyle: '#ffffff',
-            lineWidth: 3,
-            width: width,
-            height: wallThickness,
-        };
+        level.boundaries.forEach((boundary) => {
+            const body = createBoundaryBody(boundary, level.material);
+            this.boundaryBodies.push(body);
+            this.physics.addBody(body);
+        });
+        level.obstacles.forEach((definition) => this.addLevelElement(definition));
 
-        const ground = PhysicsBodyFactory.createRectangle(width / 2, height - wallThickness / 2, width, wallThickness, {
-            isStatic: true,
-            friction: friction,
-            restitution: restitution,
+        this.setupDangerLine();
+    }
+
+    setupDangerLine() {
+        // Sensor covers everything above the danger line, including the space above the canvas
+        const top = -this.canvas.height;
+        const bottom = this.rules.dangerLineY;
+        const left = this.ballManager.minX;
+        const right = this.ballManager.maxX;
+
+        const dangerLine = PhysicsBodyFactory.createSensor((left + right) / 2, (top + bottom) / 2, right - left, bottom - top, {
             userData: {
-                label: 'ground',
-                render: renderGround,
+                label: 'dangerline',
             },
         });
 
-        const renderWall = {
-            fillStyle: '#00ffff',
-            strokeStyle: '#ffffff',
-            lineWidth: 3,
-            width: wallThickness,
-            height: height,
-        };
+        this.physics.addBody(dangerLine);
+    }
 
-        const leftWall = PhysicsBodyFactory.createRectangle(wallThickness / 2, height / 2, wallThickness, height, {
-            isStatic: true,
-            friction: friction,
-            restitution: restitution,
-            userData: {
-                label: 'leftwall',
-                render: renderWall,
-            },
+    // Called every physics step - game over once a settled ball has stayed above the line for the grace period
+    checkDangerLine() {
+        const now = this.clock.gameTime;
+
+        this.dangerBalls.forEach((settledTime, ball) => {
+            if (ball.destroyed) {
+                this.dangerBalls.delete(ball);
+                return;
+            }
+
+            // Balls still falling through or bouncing restart their timer
+            if (ball.physicsBody.isStatic() || ball.physicsBody.speed > this.rules.settledSpeed) {
+                this.dangerBalls.set(ball, now);
+                return;
+            }
+
+            if (now - settledTime >= this.rules.dangerGracePeriod) {
+                this.gameOver = true;
+            }
         });
+    }
 
-        const rightWall = PhysicsBodyFactory.createRectangle(width - wallThickness / 2, height / 2, wallThickness, height, {
-            isStatic: true,
-            friction: friction,
-            restitution: restitution,
-            userData: {
-                label: 'rightwall',
-                render: renderWall,
-            },
+    // Called every physics step - a level with a win condition ends as soon as it is met
+    checkWinCondition() {
+        const winCondition = this.level.winCondition;
+        if (!winCondition) {
+            return;
+        }
+
+        switch (winCondition.type) {
+            case WinConditions.score:
+                this.won = this.score.score >= winCondition.target;
+                break;
+            case WinConditions.ballSize:
+                this.won = this.largestBall >= winCondition.size;
+                break;
+        }
+
+        if (this.won) {
+            this.gameOver = true;
+        }
+    }
+
+    // How close the most endangered ball is to ending the game, 0..1
+    getDangerLevel() {
+        let level = 0;
+        this.dangerBalls.forEach((settledTime) => {
+            level = Math.max(level, (this.clock.gameTime - settledTime) / this.rules.dangerGracePeriod);
         });
+        return Math.min(1, level);
+    }
+
+    setDifficulty(profile) {
+        this.difficulty = profile;
+        this.score.bestScore = this.manager.highScores.getBestScore(this.mode, profile.name);
+        // The level's own gravity and danger line win over the difficulty's
+        this.rules.dangerLineY = this.level?.dangerLineY ?? profile.dangerLineY;
+        this.rules.gravity = this.level?.gravity ?? profile.gravity;
+        this.ballManager.applyDifficulty(profile);
+    }
+
+    getSelectedDifficultyName() {
+        return this.manager.settings.get('difficulty');
+    }
+
+    // The difficulty is fixed for the length of a game - a changed setting is picked up by a
+    // fresh board on entry, or by the next new game
+    applySelectedDifficulty() {
+        const name = this.getSelectedDifficultyName();
+        if (this.clock.gameStep === 0 && name !== this.difficulty.name) {
+            this.newGame(this.random.seed, name, this.level);
+        }
+    }
+
+    // The level new games start on unless they are given one - levels/default.json, loaded by the splash,
+    // which stops on an error screen rather than go on to the menu without it
+    getDefaultLevel() {
+        const data = this.manager.assets.getJson('defaultLevel');
+        if (!data) {
+            throw new Error('The default level did not load');
+        }
+        return parseLevel(data);
+    }
+
+    // Start a fresh board - pass a seed to replay a previous run, otherwise a new one is picked.
+    // level is a parsed level, the default one if not given
+    newGame(seed = SeededRandom.generateSeed(), difficultyName = this.getSelectedDifficultyName(), level = this.getDefaultLevel()) {
+        this.level = level;
+        this.ballManager.applyLevel(level);
+        this.setDifficulty(getDifficultyProfile(difficultyName));
+        this.createWorld();
+
+        this.random.setSeed(seed);
+        this.ballManager.reset();
+        this.score.reset();
+        this.dangerBalls.clear();
+        this.gameOver = false;
+        this.won = false;
+        this.largestBall = 0;
+        this.clock.gameStep = 0;
+        this.clock.gameTime = 0;
+        this.clock.stepCount = 0;
+        this._physicsAccumulator = 0;
+        this.renderAlpha = 1;
+
+        this.pendingActions = [];
+        this.recorder.start(this.random.seed, this.difficulty.name, this.level);
+    }
+
+    // New seed, same level - the pause menu's Restart
+    restartLevel() {
+        this.newGame(SeededRandom.generateSeed(), this.getSelectedDifficultyName(), this.level);
+    }
+
+    getAllBalls() {
+        return this.ballManager
+            .getBallBodies()
+            .map((ballBody) => ballBody.getUserData()?.ball)
+            .filter((ball) => ball);
+    }
+
+    getResults() {
+        return {
+            score: this.score.score,
+            bestScore: this.score.bestScore,
+            largestBall: this.largestBall,
+            timePlayed: this.clock.gameTime,
+            seed: this.random.seed,
+            level: this.level.name,
+            won: this.won,
+        };
+    }
 
-        this.physics.addBody(ground);
-        this.physics.addBody(leftWall);
-        this.physics.addBody(rightWall);
+    // Handed on at game over - what name entry needs to file a high score, and what results
+    // needs to offer the replay
+    getGameSummary() {
+        return {
+            mode: this.mode,
+            difficulty: this.difficulty.name,
+            level: this.level,
+            results: this.getResults(),
+            replay: this.getReplay(),
+        };
+    }
+
+    getReplay() {
+        return this.recorder.getReplay(this.clock.gameStep);
     }
 
-    start() {
-        this.ballManager.start();
+    // A game left through the pause menu that the menu can offer to continue
+    isGameInProgress() {
+        return this.clock.gameStep > 0 && !this.gameOver;
     }
 
     addBody(body) {
         this.physics.addBody(body);
     }
 
+    // Build a level element from { type, ...options } into the current world
+    addLevelElement(definition) {
+        const element = createLevelElement(this, definition);
+        this.levelElements.push(element);
+        return element;
+    }
+
+    removeLevelElement(element) {
+        const index = this.levelElements.indexOf(element);
+        if (index > -1) {
+            this.levelElements.splice(index, 1);
+            element.destroy();
+        }
+    }
+
     removeBody(body) {
         this.physics.removeBody(body);
     }
 
-    renderWallOrFloor(body) {
+    // Draw any body from its fixtures - circles, polygons, edges and chains alike, styled by the
+    // render metadata the factory attached to the body and its parts
+    renderBody(body) {
         const ctx = this.ctx;
+        const render = body.getUserData().render;
+        if (!render || render.visible === false) {
+            return;
+        }
 
-        // Convert position from meters to pixels for rendering
-        const meterPosition = body.getPosition();
-        const position = {
-            x: metersToPixels(meterPosition.x),
-            y: metersToPixels(meterPosition.y),
-        };
-        const angle = body.getAngle();
+        // Blend between the last two physics steps so motion is smooth at any refresh rate
+        const transform = this.physics.getInterpolatedTransform(body, this.renderAlpha);
 
         ctx.save();
-        ctx.translate(position.x, position.y);
-        ctx.rotate(angle);
+        ctx.translate(transform.x, transform.y);
+        ctx.rotate(transform.angle);
 
-        let render = body.getUserData().render;
+        const shapes = this.physics.getBodyShapes(body);
+        shapes.forEach((shape) => this.renderShape(shape));
+
+        if (render.showNumber) {
+            this.renderBallNumber(render.size, shapes[0]);
+        }
+
+        ctx.restore();
+    }
+
+    renderShape(shape) {
+        const ctx = this.ctx;
+        const render = shape.render;
+        if (render.visible === false) {
+            return;
+        }
 
         ctx.fillStyle = render.fillStyle;
         ctx.strokeStyle = render.strokeStyle;
         ctx.lineWidth = render.lineWidth;
 
-        const width = render.width;
-        const height = render.height;
+        const strokeWidth = ctx.lineWidth || 0;
 
-        ctx.fillRect(-width / 2, -height / 2, width, height);
-        ctx.strokeRect(-width / 2, -height / 2, width, height);
+        ctx.beginPath();
+        switch (shape.type) {
+            case 'circle': {
+                // Adjust rendering radius so stroke doesn't extend beyond physics boundary
+                const renderRadius = shape.radius - strokeWidth / 2;
+                if (renderRadius <= 0) {
+                    return;
+                }
+                ctx.arc(shape.center.x, shape.center.y, renderRadius, 0, 6.28);
+                break;
+            }
+            case 'polygon':
+            case 'edge':
+            case 'chain':
+                shape.vertices.forEach((vertex, index) => {
+                    if (index === 0) {
+                        ctx.moveTo(vertex.x, vertex.y);
+                    } else {
+                        ctx.lineTo(vertex.x, vertex.y);
+                    }
+                });
+                if (shape.type === 'polygon') {
+                    ctx.closePath();
+                }
+                break;
+        }
 
-        ctx.restore();
+        // Edges and chains are lines - only closed shapes are filled
+        if (render.fillStyle && (shape.type === 'circle' || shape.type === 'polygon')) {
+            ctx.fill();
+        }
+        if (render.strokeStyle && strokeWidth > 0) {
+            ctx.stroke();
+        }
     }
 
-    renderBall(body) {
+    renderBallNumber(size, shape) {
         const ctx = this.ctx;
-
-        // Convert position from meters to pixels for rendering
-        const meterPosition = body.getPosition();
-        const position = {
-            x: metersToPixels(meterPosition.x),
-            y: metersToPixels(meterPosition.y),
-        };
-        const angle = body.getAngle();
+        const renderRadius = shape.radius - (shape.render.lineWidth || 0) / 2;
 
         ctx.save();
-        ctx.translate(position.x, position.y);
-        ctx.rotate(angle);
 
-        let render = body.getUserData().render;
+        const fontSize = Math.max(24, renderRadius * 0.8);
+        ctx.font = `bold ${fontSize}px Arial`;
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
 
-        ctx.fillStyle = render.fillStyle;
-        ctx.strokeStyle = render.strokeStyle;
-        ctx.lineWidth = render.lineWidth;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeText(size.toString(), 0, 0);
 
-        let physicsRadius = render.radius;
+        ctx.fillText(size.toString(), 0, 0);
 
-        // Adjust rendering radius so stroke doesn't extend beyond physics boundary
-        const strokeWidth = ctx.lineWidth || 0;
-        const renderRadius = physicsRadius - strokeWidth / 2;
+        ctx.restore();
+    }
 
-        if (renderRadius > 0) {
-            ctx.beginPath();
-            ctx.arc(0, 0, renderRadius, 0, 6.28);
-            ctx.fill();
+    updatePhysics(deltaTime) {
+        // Fixed timestep accumulator pattern
+        this._physicsAccumulator += deltaTime;
 
-            if (ctx.strokeStyle && strokeWidth > 0) {
-                ctx.stroke();
+        let steps = 0;
+        while (this._physicsAccumulator >= fixedTimeStep && !this.gameOver) {
+            // Too far behind to catch up - drop the backlog rather than spiral
+            if (steps >= this.manager.clock.maxStepsPerFrame) {
+                this._physicsAccumulator %= fixedTimeStep;
+                break;
             }
 
-            if (render.showNumber) {
-                ctx.save();
+            this.stepGame();
+            this._physicsAccumulator -= fixedTimeStep;
+            this.clock.stepCount++;
+            steps++;
+        }
+
+        this.renderAlpha = this.gameOver ? 1 : this._physicsAccumulator / fixedTimeStep;
+
+        this.score.update(this.clock.gameTime);
+
+        this.clock.stepTime = fixedTimeStep;
+    }
+
+    // One fixed step of the whole game - everything that affects the outcome happens here
+    stepGame() {
+        this.takeActionsForStep(this.clock.gameStep).forEach((action) => {
+            if (this.applyAction(action)) {
+                this.recorder.record(this.clock.gameStep, action);
+            }
+        });
+
+        this.ballManager.updateFrame(this.clock.gameTime);
+        this.levelElements.forEach((element) => element.update(fixedTimeStep));
+
+        this.physics.update(fixedTimeStep);
+        this.clock.gameStep++;
+        this.clock.gameTime = this.clock.gameStep * fixedTimeStep;
+
+        this.handleMergeEvents(this.ballManager.processMerges());
+        this.checkDangerLine();
+        this.checkWinCondition();
+    }
 
-                const fontSize = Math.max(24, renderRadius * 0.8);
-                ctx.font = `bold ${fontSize}px Arial`;
-                ctx.fillStyle = '#000000';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
+    queueAction(action) {
+        this.pendingActions.push(action);
+    }
 
-                ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 2;
-                ctx.strokeText(render.size.toString(), 0, 0);
+    // Actions to apply on this step - live play takes whatever was input since the last step
+    takeActionsForStep(step) {
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+        return actions;
+    }
 
-                ctx.fillText(render.size.toString(), 0, 0);
+    // Returns true if the action changed anything, only those are recorded
+    applyAction(action) {
+        switch (action) {
+            case GameActions.moveLeft:
+                return this.ballManager.moveCurrentBall(-1);
+            case GameActions.moveRight:
+                return this.ballManager.moveCurrentBall(1);
+            case GameActions.drop: {
+                const ball = this.ballManager.dropCurrentBall(this.clock.gameTime);
+                if (ball) {
+                    this.score.addDrop(this.clock.gameTime);
+                    this.largestBall = Math.max(this.largestBall, ball.size);
+                }
+                return ball !== null;
+            }
+            case GameActions.hold:
+                return this.ballManager.holdCurrentBall();
+            default:
+                return false;
+        }
+    }
 
-                ctx.restore();
+    handleMergeEvents(events) {
+        events.forEach((event) => {
+            if (event.type === 'clear') {
+                this.score.addClear(event.size, this.clock.gameTime);
+            } else {
+                this.score.addMerge(event.size, this.clock.gameTime);
             }
+            this.largestBall = Math.max(this.largestBall, event.size);
+        });
+    }
+
+    renderHud() {
+        const ctx = this.ctx;
+        const left = wallThickness + 20;
+        const right = this.canvas.width - wallThickness - 20;
+        const top = 36;
+
+        ctx.save();
+        ctx.textBaseline = 'middle';
+
+        // Score
+        ctx.font = 'bold 28px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText('Score: ' + this.score.score, left, top);
+
+        // Combo multiplier - only while a chain is running
+        if (this.score.multiplier > 1) {
+            ctx.font = 'bold 22px Arial';
+            ctx.fillStyle = '#ffc000';
+            ctx.fillText('x' + this.score.multiplier + ' Combo', left, top + 30);
         }
 
+        // Best score
+        ctx.font = '22px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#cccccc';
+        ctx.fillText('Best: ' + this.score.bestScore, right, top);
+
         ctx.restore();
+
+        this.renderBallPreviews(left, right, top + 64);
     }
 
-    updatePhysics(deltaTime) {
-        // Fixed timestep accumulator pattern
-        this._physicsAccumulator += deltaTime;
+    // Next ball queue on the right, hold slot on the left
+    renderBallPreviews(left, right, y) {
+        const ctx = this.ctx;
+        const scale = 0.5;
+        const spacing = 54;
 
-        while (this._physicsAccumulator >= fixedTimeStep) {
-            this.physics.update(fixedTimeStep);
-            this._physicsAccumulator -= fixedTimeStep;
-            this.clock.stepCount++;
+        ctx.save();
+        ctx.font = '18px Arial';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#888888';
+
+        const nextSizes = this.ballManager.peekNextSizes();
+        const nextStartX = right - (nextSizes.length - 1) * spacing - 24;
+        ctx.textAlign = 'right';
+        ctx.fillText('Next', nextStartX - 36, y);
+        nextSizes.forEach((size, index) => {
+            this.renderPreviewBall(nextStartX + index * spacing, y, size, scale);
+        });
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.ballManager.canHold ? '#888888' : '#555555';
+        ctx.fillText('Hold', left, y);
+        const heldSize = this.ballManager.getHeldSize();
+        if (heldSize !== null) {
+            this.renderPreviewBall(left + 84, y, heldSize, scale);
+        } else {
+            ctx.strokeStyle = '#555555';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(left + 84, y, 16, 0, 6.28);
+            ctx.stroke();
         }
 
-        this.clock.stepTime = fixedTimeStep;
+        ctx.restore();
     }
 
-    renderExitDialog() {
-        // Semi-transparent overlay
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // The landing preview needs the setting on and a difficulty that allows it (not Hard)
+    isAimGuideEnabled() {
+        return this.manager.settings.get('aimGuide') && this.difficulty.aimGuide;
+    }
+
+    // Drop line and ghost ball where the current ball would first touch something if dropped now
+    renderAimGuide() {
+        const ball = this.ballManager.currentBall;
+        if (!ball || ball.destroyed || !this.isAimGuideEnabled()) {
+            return;
+        }
 
-        // Dialog box
-        const dialogWidth = 400;
-        const dialogHeight = 250;
-        const dialogX = (this.canvas.width - dialogWidth) / 2;
-        const dialogY = (this.canvas.height - dialogHeight) / 2;
-
-        // Dialog background
-        this.ctx.fillStyle = '#333333';
-        this.ctx.fillRect(dialogX, dialogY, dialogWidth, dialogHeight);
-
-        // Dialog border
-        this.ctx.strokeStyle = '#666666';
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(dialogX, dialogY, dialogWidth, dialogHeight);
-
-        // Dialog title
-        this.ctx.font = 'bold 24px Arial';
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('Exit game - are you sure', this.canvas.width / 2, dialogY + 80);
-
-        // Dialog options
-        const startY = dialogY + 140;
-        const buttonWidth = 120;
-        const buttonHeight = 40;
-        const buttonSpacing = 40;
-        const totalButtonWidth = this.dialogOptions.length * buttonWidth + (this.dialogOptions.length - 1) * buttonSpacing;
-        const startX = (this.canvas.width - totalButtonWidth) / 2;
-
-        this.dialogOptions.forEach((option, index) => {
-            const buttonX = startX + index * (buttonWidth + buttonSpacing);
-            const buttonY = startY;
-            const isSelected = index === this.dialogSelectedOption;
-
-            // Button background
-            this.ctx.fillStyle = isSelected ? '#555555' : '#444444';
-            this.ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
-
-            // Button border
-            this.ctx.strokeStyle = isSelected ? '#00ff00' : '#666666';
-            this.ctx.lineWidth = isSelected ? 3 : 1;
-            this.ctx.strokeRect(buttonX, buttonY, buttonWidth, buttonHeight);
-
-            // Button text
-            this.ctx.font = '18px Arial';
-            this.ctx.fillStyle = isSelected ? '#00ff00' : '#cccccc';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(option, buttonX + buttonWidth / 2, buttonY + buttonHeight / 2);
+        // The ball can sit flush against a side wall, and a cast that starts touching something hits it
+        // straight away - sweep a slightly narrower circle so only what is below the ball counts
+        const from = ball.getPosition();
+        const castRadius = ball.radius - this.aimGuideInset;
+        const hit = this.physics.shapeCastCircle(from, { x: from.x, y: this.canvas.height }, castRadius, {
+            filter: (physicsBody) => physicsBody.body !== ball.physicsBody.body,
         });
+        if (!hit) {
+            return;
+        }
+        // Back up by the inset so the full size ghost rests on the surface rather than in it
+        const landing = { x: hit.position.x, y: hit.position.y - this.aimGuideInset };
+
+        const ctx = this.ctx;
+        ctx.save();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y + ball.radius);
+        ctx.lineTo(landing.x, landing.y);
+        ctx.stroke();
+
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = ball.color;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.arc(landing.x, landing.y, ball.radius - 1, 0, Math.PI * 2);
+        ctx.stroke();
 
-        // Instructions
-        this.ctx.font = '16px Arial';
-        this.ctx.fillStyle = '#888888';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('← → Navigate • ENTER Select • ESC Cancel', this.canvas.width / 2, dialogY + dialogHeight - 30);
+        ctx.restore();
+    }
+
+    renderPreviewBall(x, y, size, scale) {
+        const ctx = this.ctx;
+        const radius = Ball.calculateRadius(size) * scale;
+
+        ctx.save();
+        ctx.fillStyle = Ball.getColorForSize(size);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, 6.28);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.font = 'bold 16px Arial';
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(size.toString(), x, y);
+        ctx.restore();
+    }
+
+    renderDangerLine() {
+        const ctx = this.ctx;
+        const y = this.rules.dangerLineY;
+        const dangerLevel = this.getDangerLevel();
+
+        ctx.save();
+        ctx.strokeStyle = dangerLevel > 0 ? '#ff0040' : 'rgba(255, 0, 64, 0.5)';
+        ctx.lineWidth = 2 + dangerLevel * 4;
+        ctx.setLineDash([12, 8]);
+        ctx.beginPath();
+        ctx.moveTo(this.ballManager.minX, y);
+        ctx.lineTo(this.ballManager.maxX, y);
+        ctx.stroke();
+        ctx.restore();
     }
 
     renderScene() {
         const ballInfoElement = document.getElementById('currentBallSize');
-        ballInfoElement.textContent = 'Harrison Digital';
+        ballInfoElement.textContent = 'Next Ball: Size ' + this.ballManager.peekNextSizes()[0];
+
+        this.renderBackground();
+        this.renderBodies();
+        this.renderAimGuide();
+        this.renderHud();
+    }
 
+    renderBackground() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         this.ctx.fillStyle = '#111111';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
 
-        // Get all bodies and render them
+    // Everything in the world - boundaries, balls, the danger line and the level elements
+    renderBodies() {
         const bodies = this.physics.getAllBodies();
 
         bodies.forEach((body) => {
-            switch (body.getUserData().label) {
-                case 'leftwall':
-                case 'rightwall':
-                case 'ground':
-                    this.renderWallOrFloor(body);
-                    break;
-                default:
-                    this.renderBall(body);
-                    break;
+            if (body.getUserData().label === 'dangerline') {
+                this.renderDangerLine();
+            } else {
+                this.renderBody(body);
             }
         });
 
-        // Render exit dialog if shown
-        if (this.showExitDialog) {
-            this.renderExitDialog();
+        this.levelElements.forEach((element) => element.render(this.ctx));
+
+        // Joint anchors only show with the diagnostics panel open
+        if (this.manager.diagnosticsPanel?.enabled) {
+            this.renderJoints();
         }
     }
 
+    // Debug view of every joint - a line between its anchors, with A as a ring and B as a dot.
+    // Drawn at the last physics step rather than interpolated, which is close enough for debugging.
+    renderJoints() {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = '#ff00ff';
+        ctx.fillStyle = '#ff00ff';
+        ctx.lineWidth = 2;
+
+        this.physics.getAllJoints().forEach((joint) => {
+            const anchorA = joint.getAnchorA();
+            const anchorB = joint.getAnchorB();
+
+            ctx.beginPath();
+            ctx.moveTo(anchorA.x, anchorA.y);
+            ctx.lineTo(anchorB.x, anchorB.y);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(anchorA.x, anchorA.y, 6, 0, 6.28);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(anchorB.x, anchorB.y, 3, 0, 6.28);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
     inputKeyPressed(code, debug) {
-        // If exit dialog is shown, handle dialog input
-        if (this.showExitDialog) {
-            switch (code) {
-                case 'ArrowLeft':
-                    this.dialogSelectedOption =
-                        (this.dialogSelectedOption - 1 + this.dialogOptions.length) % this.dialogOptions.length;
-                    break;
-                case 'ArrowRight':
-                    this.dialogSelectedOption = (this.dialogSelectedOption + 1) % this.dialogOptions.length;
-                    break;
-                case 'Enter':
-                    if (this.dialogSelectedOption === 0) {
-                        // Exit selected - signal to scene manager to return to menu
-                        console.log('Exit option selected, setting exitToMenu to true');
-                        this.exitToMenu = true;
-                    }
-                    // Hide dialog regardless of selection
-                    this.showExitDialog = false;
-                    this.dialogSelectedOption = 1; // Reset to default
-                    break;
-                case 'Escape':
-                    // Cancel dialog - hide it
-                    this.showExitDialog = false;
-                    this.dialogSelectedOption = 1; // Reset to default
-                    break;
-                default:
-                    break;
-            }
-            return; // Don't process game controls when dialog is shown
+        if (this.gameOver) {
+            return;
         }
 
         // Normal game input handling
         switch (code) {
             case 'ArrowLeft':
-                this.ballManager.moveCurrentBall(-1);
+                this.queueAction(GameActions.moveLeft);
                 break;
             case 'ArrowRight':
-                this.ballManager.moveCurrentBall(1);
+                this.queueAction(GameActions.moveRight);
                 break;
             case 'ArrowDown':
             case 'Space':
-                this.ballManager.dropCurrentBall();
+                this.queueAction(GameActions.drop);
+                break;
+            case 'KeyH':
+                this.queueAction(GameActions.hold);
                 break;
             case 'Escape':
-                // Show exit confirmation dialog
-                this.showExitDialog = true;
-                this.dialogSelectedOption = 1; // Default focus on "Return"
+            case 'KeyP':
+                this.pause();
                 break;
             case 'KeyT':
                 if (debug) {
@@ -411,30 +841,52 @@ export class SceneBallsX extends SceneBase {
         }
     }
 
-    enter() {
-        // Called when the scene becomes active
+    enter(params = {}) {
+        // Called when the scene becomes active - params { newGame, seed, difficulty, level, mode } start
+        // a fresh game, otherwise the current one carries on
         // The BallManager will start spawning balls via its updateFrame method
+
+        // Each scene with physics owns a world - point the factory back at this one
+        PhysicsBodyFactory.setWorld(this.physics.world);
+        PhysicsJointFactory.setWorld(this.physics.world);
+
+        if (params.mode) {
+            this.mode = params.mode;
+        }
+
+        // A finished game can't carry on
+        if (params.newGame || this.gameOver || !this.level) {
+            this.newGame(params.seed, params.difficulty, params.level);
+        } else {
+            this.applySelectedDifficulty();
+        }
     }
 
     exit() {
         // Called when the scene is deactivated
     }
 
+    uncover() {
+        // Back from the pause overlay or settings
+        PhysicsBodyFactory.setWorld(this.physics.world);
+        PhysicsJointFactory.setWorld(this.physics.world);
+        this.applySelectedDifficulty();
+    }
+
     update(dt) {
-        // Update timing
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
 
         this.updatePhysics(this.clock.deltaTime);
-        this.ballManager.updateFrame();
 
-        // Check for exit to menu request only once
-        if (this.exitToMenu) {
-            console.log('Exit to menu requested, transitioning to menu scene');
-            this.exitToMenu = false; // Reset the flag
-            return 'menu'; // Return the target scene key
+        if (this.gameOver) {
+            const qualifies = this.manager.highScores.qualifies(this.mode, this.difficulty.name, this.score.score);
+            return {
+                scene: qualifies ? 'nameEntry' : 'results',
+                params: this.getGameSummary(),
+                transition: 'crossfade',
+            };
         }
 
         return null; // Stay in this scene
@@ -443,13 +895,6 @@ export class SceneBallsX extends SceneBase {
     render(ctx) {
         this.renderScene();
     }
-
-    shouldExitToMenu() {
-        console.log('shouldExitToMenu called, exitToMenu:', this.exitToMenu);
-        return this.exitToMenu;
-    }
-
-    markExitProcessed() {
-        this.exitToMenu = false;
-    }
 }
+
+SceneBase.register('ballsX', SceneBallsX);
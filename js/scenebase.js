@@ -1,18 +1,44 @@
+// Scene classes by key - each scene module registers itself and SceneManager creates one of each
+const registeredScenes = new Map();
+
 export class SceneBase {
+    static register(sceneKey, SceneClass) {
+        if (registeredScenes.has(sceneKey)) {
+            throw new Error('Scene already registered: ' + sceneKey);
+        }
+        registeredScenes.set(sceneKey, SceneClass);
+    }
+
+    static getRegisteredScenes() {
+        return new Map(registeredScenes);
+    }
+
     constructor(manager) {
         this.manager = manager; // Optional: reference to SceneManager if needed
+
+        // Overlays are drawn on top of the scene beneath them on the stack instead of replacing it
+        this.isOverlay = false;
     }
 
-    enter() {
-        // Called when the scene becomes active
+    enter(params = {}) {
+        // Called when the scene becomes active - params come from whoever switched to it
     }
 
     exit() {
         // Called when the scene is deactivated
     }
 
+    cover() {
+        // Called when another scene is pushed on top of this one
+    }
+
+    uncover() {
+        // Called when the scene on top of this one is popped
+    }
+
     update(dt) {
-        // Called every tick; return string (scene key) to request transition
+        // Called every tick while this is the top scene; return string (scene key) to request transition,
+        // or { scene, params, transition } to pass params to its enter() and animate the change
         // Return null/undefined to stay in this scene
         return null;
     }
@@ -20,4 +46,17 @@ export class SceneBase {
     render(ctx) {
         // Render to canvas/context/etc.
     }
-}
\ No newline at end of file
+
+    inputKeyPressed(code, debug) {
+        // Called for each key press while this is the top scene
+    }
+
+    inputMouse(type, x, y, details) {
+        // Called with 'mousedown', 'mousemove', 'mouseup' ({ button }) or 'wheel' ({ delta } of -1 or 1)
+        // in canvas pixels while this is the top scene
+    }
+
+    getSceneStateHtml() {
+        return `<strong>Scene: ${this.constructor.name}</strong>`;
+    }
+}
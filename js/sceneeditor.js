@@ -0,0 +1,771 @@
+import { SceneBase } from './scenebase.js';
+import { SceneBallsX } from './sceneballsx.js';
+import { SeededRandom } from './random.js';
+import { PhysicsBodyFactory, PhysicsJointFactory } from './physics.js';
+import { parseLevel } from './levels.js';
+import { downloadJson, pickJsonFile } from './fileio.js';
+
+const EditorStorageKey = 'ohBalls2.editorLevel';
+
+// What the number keys place - x, y is the clicked point, snapped to the grid when that is on.
+// Tool 0 selects and drags instead of placing.
+const EditorTools = [
+    { name: 'Select' },
+    { name: 'Wall', list: 'boundaries', create: (x, y) => ({ type: 'rectangle', x, y, width: 160, height: 16 }) },
+    { name: 'Peg', list: 'obstacles', create: (x, y) => ({ type: 'peg', x, y, radius: 10 }) },
+    { name: 'Ramp', list: 'obstacles', create: (x, y) => ({ type: 'ramp', x1: x - 80, y1: y, x2: x + 80, y2: y, thickness: 16 }) },
+    {
+        name: 'Platform',
+        list: 'obstacles',
+        create: (x, y) => ({
+            type: 'movingPlatform',
+            path: [
+                { x, y },
+                { x: x + 200, y },
+            ],
+            width: 120,
+            height: 16,
+            speed: 100,
+        }),
+    },
+    { name: 'One-Way', list: 'obstacles', create: (x, y) => ({ type: 'oneWayPlatform', x, y, width: 160, height: 12 }) },
+    { name: 'Bumper', list: 'obstacles', create: (x, y) => ({ type: 'bumper', x, y, radius: 24 }) },
+    {
+        name: 'Paddle',
+        list: 'obstacles',
+        create: (x, y) => ({ type: 'spinningPaddle', x, y, length: 160, thickness: 16, speed: 2 }),
+    },
+];
+
+// The fields the length (- =) and thickness ([ ]) keys change, by item type - a ramp or edge's
+// length is the distance between its ends
+const ItemSizeFields = Object.freeze({
+    rectangle: ['width', 'height'],
+    circle: ['radius', null],
+    edge: ['length', null],
+    peg: ['radius', null],
+    ramp: ['length', 'thickness'],
+    movingPlatform: ['width', 'height'],
+    spinningPaddle: ['length', 'thickness'],
+    bumper: ['radius', null],
+    oneWayPlatform: ['width', 'height'],
+});
+
+const minimumSize = 4; // px
+
+function roundPixels(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function rotatePoint(point, centre, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = point.x - centre.x;
+    const dy = point.y - centre.y;
+    return {
+        x: roundPixels(centre.x + dx * cos - dy * sin),
+        y: roundPixels(centre.y + dx * sin + dy * cos),
+    };
+}
+
+// The point dragging and snapping works from - the first end of a ramp or edge, the start of a path
+function getItemAnchor(item) {
+    if (typeof item.x1 === 'number') {
+        return { x: item.x1, y: item.y1 };
+    }
+    if (Array.isArray(item.path)) {
+        return { x: item.path[0].x, y: item.path[0].y };
+    }
+    return { x: item.x, y: item.y };
+}
+
+function moveItem(item, dx, dy) {
+    ['x', 'x1', 'x2'].forEach((field) => {
+        if (typeof item[field] === 'number') {
+            item[field] = roundPixels(item[field] + dx);
+        }
+    });
+    ['y', 'y1', 'y2'].forEach((field) => {
+        if (typeof item[field] === 'number') {
+            item[field] = roundPixels(item[field] + dy);
+        }
+    });
+    if (Array.isArray(item.path)) {
+        item.path = item.path.map((point) => ({ x: roundPixels(point.x + dx), y: roundPixels(point.y + dy) }));
+    }
+}
+
+// Returns false for items that look the same at any angle, or have no angle to turn
+function rotateItem(item, angle) {
+    switch (item.type) {
+        case 'rectangle':
+        case 'polygon':
+        case 'chain':
+            item.angle = Math.round(((item.angle || 0) + angle) * 10000) / 10000;
+            return true;
+        case 'edge':
+        case 'ramp': {
+            const centre = { x: (item.x1 + item.x2) / 2, y: (item.y1 + item.y2) / 2 };
+            const start = rotatePoint({ x: item.x1, y: item.y1 }, centre, angle);
+            const end = rotatePoint({ x: item.x2, y: item.y2 }, centre, angle);
+            Object.assign(item, { x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+            return true;
+        }
+        case 'movingPlatform':
+            // The platform stays level - its route turns about the start
+            item.path = item.path.map((point) => rotatePoint(point, item.path[0], angle));
+            return true;
+        default:
+            return false;
+    }
+}
+
+// Grow or shrink one size field by delta px - current holds the item's values with the element
+// defaults filled in. A radius changes by half so the item grows by delta across.
+function resizeItem(item, current, field, delta) {
+    if (field === 'length' && typeof item.x1 === 'number') {
+        const length = Math.hypot(item.x2 - item.x1, item.y2 - item.y1);
+        const newLength = Math.max(minimumSize, length + delta);
+        const centre = { x: (item.x1 + item.x2) / 2, y: (item.y1 + item.y2) / 2 };
+        const unitX = length > 0 ? (item.x2 - item.x1) / length : 1;
+        const unitY = length > 0 ? (item.y2 - item.y1) / length : 0;
+        item.x1 = roundPixels(centre.x - (unitX * newLength) / 2);
+        item.y1 = roundPixels(centre.y - (unitY * newLength) / 2);
+        item.x2 = roundPixels(centre.x + (unitX * newLength) / 2);
+        item.y2 = roundPixels(centre.y + (unitY * newLength) / 2);
+        return;
+    }
+
+    if (field === 'radius') {
+        item.radius = Math.max(minimumSize / 2, current.radius + delta / 2);
+    } else {
+        item[field] = Math.max(minimumSize, current[field] + delta);
+    }
+}
+
+// Builds levels in place - every edit rewrites the level JSON and rebuilds the world from it with
+// the same code a game uses, so what is drawn here is exactly what will be played. Test play
+// runs the game on the level as it stands and drops back to editing when it ends.
+export class SceneEditor extends SceneBallsX {
+    constructor(canvas, manager) {
+        // Own generator so test games never disturb the live game's sequence
+        super(canvas, manager, new SeededRandom());
+
+        this.levelData = null; // the level being edited, as it would be saved
+        this.toolIndex = 0;
+        this.selected = null; // { list: 'boundaries' | 'obstacles', index }
+        this.bodyItems = new Map(); // body id -> { list, index } it was built from
+
+        this.snapToGrid = true;
+        this.gridSize = 20; // px
+
+        // Earlier levels as JSON strings, most recent last
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndo = 100;
+
+        this.drag = null;
+        this.mouse = { x: 0, y: 0 };
+        this.testPlaying = false;
+
+        this.message = null;
+        this.messageTime = 0;
+        this.messageDuration = 3000; // ms
+        this.exitToMenu = false;
+    }
+
+    enter(params = {}) {
+        // Called when the scene becomes active - work in progress is kept between visits
+        PhysicsBodyFactory.setWorld(this.physics.world);
+        PhysicsJointFactory.setWorld(this.physics.world);
+
+        this.testPlaying = false;
+        this.drag = null;
+        this.exitToMenu = false;
+
+        if (!this.levelData) {
+            this.levelData = this.loadStoredLevel() || { ...this.getDefaultLevel(), name: 'Custom' };
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+        this.rebuild();
+    }
+
+    // Auto-pause ends test play - the editor has no pause menu
+    pause() {
+        if (this.testPlaying) {
+            this.setTestPlay(false);
+        }
+    }
+
+    // Build the world from the level JSON - throws if the level is invalid
+    rebuild(seed = this.random.seed) {
+        this.newGame(seed, this.getSelectedDifficultyName(), parseLevel(this.levelData));
+
+        this.bodyItems.clear();
+        this.boundaryBodies.forEach((body, index) => this.bodyItems.set(body.id, { list: 'boundaries', index }));
+        this.levelElements.forEach((element, index) => {
+            element.bodies.forEach((body) => this.bodyItems.set(body.id, { list: 'obstacles', index }));
+        });
+
+        if (this.selected && !this.levelData[this.selected.list][this.selected.index]) {
+            this.selected = null;
+        }
+    }
+
+    serialize() {
+        return JSON.stringify(this.levelData);
+    }
+
+    // Apply a change to levelData and rebuild - a change that leaves the level invalid is rolled
+    // back and its error shown. Returns true if it stuck.
+    applyChange(change) {
+        const before = this.serialize();
+        try {
+            change();
+            this.rebuild();
+            return true;
+        } catch (error) {
+            this.levelData = JSON.parse(before);
+            this.rebuild();
+            this.showMessage(error.message);
+            return false;
+        }
+    }
+
+    // A change that can be undone - returns true if it stuck
+    edit(change) {
+        const before = this.serialize();
+        if (!this.applyChange(change)) {
+            return false;
+        }
+        this.pushUndo(before);
+        return true;
+    }
+
+    pushUndo(levelJson) {
+        this.undoStack.push(levelJson);
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) {
+            this.showMessage('Nothing to undo');
+            return;
+        }
+        this.redoStack.push(this.serialize());
+        this.levelData = JSON.parse(this.undoStack.pop());
+        this.rebuild();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) {
+            this.showMessage('Nothing to redo');
+            return;
+        }
+        this.undoStack.push(this.serialize());
+        this.levelData = JSON.parse(this.redoStack.pop());
+        this.rebuild();
+    }
+
+    showMessage(text) {
+        this.message = text;
+        this.messageTime = this.manager.clock.currentTime;
+    }
+
+    setTestPlay(testPlaying) {
+        this.testPlaying = testPlaying;
+        this.drag = null;
+        // Each test game gets a fresh seed, editing goes back to the board as built
+        this.rebuild(testPlaying ? SeededRandom.generateSeed() : this.random.seed);
+    }
+
+    // Saved level from localStorage, or null if there isn't a usable one
+    loadStoredLevel() {
+        try {
+            const json = window.localStorage.getItem(EditorStorageKey);
+            return json === null ? null : parseLevel(JSON.parse(json));
+        } catch (error) {
+            console.log('Saved editor level could not be loaded: ' + error.message);
+            return null;
+        }
+    }
+
+    saveLevel() {
+        try {
+            window.localStorage.setItem(EditorStorageKey, this.serialize());
+            this.showMessage('Level saved');
+        } catch (error) {
+            this.showMessage('Level could not be saved: ' + error.message);
+        }
+    }
+
+    loadLevel() {
+        const level = this.loadStoredLevel();
+        if (!level) {
+            this.showMessage('No saved level to load');
+            return;
+        }
+        const loaded = this.edit(() => {
+            this.levelData = level;
+        });
+        if (loaded) {
+            this.showMessage('Level loaded');
+        }
+    }
+
+    exportLevel() {
+        const fileName = this.levelData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.json';
+        downloadJson(this.levelData, fileName);
+    }
+
+    importLevel() {
+        pickJsonFile()
+            .then((data) => {
+                // The editor may have been left while the file dialog was open
+                if (this.manager.currentScene !== this) {
+                    return;
+                }
+                this.edit(() => {
+                    this.levelData = parseLevel(data);
+                });
+            })
+            .catch((error) => this.showMessage('Level import failed: ' + error.message));
+    }
+
+    snap(value) {
+        return this.snapToGrid ? Math.round(value / this.gridSize) * this.gridSize : roundPixels(value);
+    }
+
+    getSelectedItem() {
+        return this.selected ? this.levelData[this.selected.list][this.selected.index] : null;
+    }
+
+    // The bodies built from a level item
+    getItemBodies(itemRef) {
+        if (itemRef.list === 'boundaries') {
+            return [this.boundaryBodies[itemRef.index]];
+        }
+        return this.levelElements[itemRef.index].bodies;
+    }
+
+    // Item under a point - obstacles win over the boundaries they sit on
+    findItemAt(x, y) {
+        const itemRefs = this.physics
+            .queryPoint({ x, y })
+            .map((body) => this.bodyItems.get(body.id))
+            .filter((itemRef) => itemRef);
+        return itemRefs.find((itemRef) => itemRef.list === 'obstacles') || itemRefs[0] || null;
+    }
+
+    placeItem(x, y) {
+        const tool = EditorTools[this.toolIndex];
+        const placed = this.edit(() => {
+            this.levelData[tool.list].push(tool.create(this.snap(x), this.snap(y)));
+        });
+        if (placed) {
+            this.selected = { list: tool.list, index: this.levelData[tool.list].length - 1 };
+        }
+    }
+
+    deleteSelected() {
+        if (!this.selected) {
+            return;
+        }
+        const { list, index } = this.selected;
+        // The level has to keep at least one boundary - parseLevel refuses to let the last one go
+        if (this.edit(() => this.levelData[list].splice(index, 1))) {
+            this.selected = null;
+        }
+    }
+
+    // Editing keys that change the selected item all go through here
+    editSelected(change) {
+        const item = this.getSelectedItem();
+        if (!item) {
+            this.showMessage('Nothing selected');
+            return;
+        }
+        this.edit(() => change(item));
+    }
+
+    rotateSelected(direction) {
+        const step = ((this.snapToGrid ? 15 : 1) * Math.PI) / 180;
+        this.editSelected((item) => {
+            if (!rotateItem(item, direction * step)) {
+                throw new Error(`A ${item.type} can't be rotated`);
+            }
+        });
+    }
+
+    // which is 0 for length, 1 for thickness
+    resizeSelected(which, direction) {
+        const delta = direction * (this.snapToGrid ? this.gridSize : 2);
+        const itemRef = this.selected;
+        this.editSelected((item) => {
+            const field = ItemSizeFields[item.type]?.[which];
+            if (!field) {
+                throw new Error(`A ${item.type} has no ${which === 0 ? 'length' : 'thickness'} to change`);
+            }
+            // Obstacles may leave sizes to the element's defaults
+            const current = itemRef.list === 'obstacles' ? this.levelElements[itemRef.index].options : item;
+            resizeItem(item, current, field, delta);
+        });
+    }
+
+    inputMouse(type, x, y, details) {
+        this.mouse = { x, y };
+        if (this.testPlaying) {
+            return;
+        }
+
+        switch (type) {
+            case 'mousedown':
+                if (details.button === 2) {
+                    // Right click drops the tool and the selection
+                    this.toolIndex = 0;
+                    this.selected = null;
+                } else if (details.button === 0) {
+                    this.startDrag(x, y);
+                }
+                break;
+            case 'mousemove':
+                this.updateDrag(x, y);
+                break;
+            case 'mouseup':
+                this.endDrag();
+                break;
+            case 'wheel':
+                if (this.selected) {
+                    this.rotateSelected(details.delta);
+                }
+                break;
+        }
+    }
+
+    startDrag(x, y) {
+        if (this.toolIndex > 0) {
+            this.placeItem(x, y);
+            return;
+        }
+
+        this.selected = this.findItemAt(x, y);
+        if (this.selected) {
+            this.drag = { startX: x, startY: y, anchor: getItemAnchor(this.getSelectedItem()), before: this.serialize() };
+        }
+    }
+
+    // Drag moves skip the undo stack until the button is let go, then go on it as one step
+    updateDrag(x, y) {
+        if (!this.drag) {
+            return;
+        }
+
+        const item = this.getSelectedItem();
+        const current = getItemAnchor(item);
+        const dx = this.snap(this.drag.anchor.x + x - this.drag.startX) - current.x;
+        const dy = this.snap(this.drag.anchor.y + y - this.drag.startY) - current.y;
+        if (dx !== 0 || dy !== 0) {
+            this.applyChange(() => moveItem(item, dx, dy));
+        }
+    }
+
+    endDrag() {
+        if (this.drag && this.serialize() !== this.drag.before) {
+            this.pushUndo(this.drag.before);
+        }
+        this.drag = null;
+    }
+
+    inputKeyPressed(code, debug) {
+        if (this.testPlaying) {
+            if (code === 'KeyT') {
+                this.setTestPlay(false);
+            } else {
+                // Escape reaches pause(), which ends test play
+                super.inputKeyPressed(code, debug);
+            }
+            return;
+        }
+
+        if (/^Digit[0-9]$/.test(code)) {
+            const toolIndex = Number(code.slice(5));
+            if (toolIndex < EditorTools.length) {
+                this.toolIndex = toolIndex;
+            }
+            return;
+        }
+
+        const nudge = this.snapToGrid ? this.gridSize : 1;
+        switch (code) {
+            case 'Escape':
+                if (this.toolIndex > 0 || this.selected) {
+                    this.toolIndex = 0;
+                    this.selected = null;
+                } else {
+                    this.exitToMenu = true;
+                }
+                break;
+            case 'ArrowLeft':
+                this.editSelected((item) => moveItem(item, -nudge, 0));
+                break;
+            case 'ArrowRight':
+                this.editSelected((item) => moveItem(item, nudge, 0));
+                break;
+            case 'ArrowUp':
+                this.editSelected((item) => moveItem(item, 0, -nudge));
+                break;
+            case 'ArrowDown':
+                this.editSelected((item) => moveItem(item, 0, nudge));
+                break;
+            case 'KeyQ':
+                this.rotateSelected(-1);
+                break;
+            case 'KeyE':
+                this.rotateSelected(1);
+                break;
+            case 'Minus':
+                this.resizeSelected(0, -1);
+                break;
+            case 'Equal':
+                this.resizeSelected(0, 1);
+                break;
+            case 'BracketLeft':
+                this.resizeSelected(1, -1);
+                break;
+            case 'BracketRight':
+                this.resizeSelected(1, 1);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelected();
+                break;
+            case 'KeyG':
+                this.snapToGrid = !this.snapToGrid;
+                break;
+            case 'KeyZ':
+                this.undo();
+                break;
+            case 'KeyY':
+                this.redo();
+                break;
+            case 'KeyT':
+                this.setTestPlay(true);
+                break;
+            case 'KeyS':
+                this.saveLevel();
+                break;
+            case 'KeyL':
+                this.loadLevel();
+                break;
+            case 'KeyX':
+                this.exportLevel();
+                break;
+            case 'KeyI':
+                this.importLevel();
+                break;
+            case 'KeyN':
+                this.edit(() => {
+                    this.levelData = { ...this.getDefaultLevel(), name: 'Custom' };
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        if (this.exitToMenu) {
+            this.exitToMenu = false;
+            return { scene: 'menu', transition: 'fade' };
+        }
+
+        if (this.testPlaying) {
+            this.updatePhysics(this.clock.deltaTime);
+            if (this.gameOver) {
+                this.showMessage((this.won ? 'Level complete' : 'Game over') + ' - scored ' + this.score.score);
+                this.setTestPlay(false);
+            }
+        }
+
+        return null;
+    }
+
+    getSceneStateHtml() {
+        const item = this.getSelectedItem();
+        const vHtml = `
+            <strong>Scene: Editor</strong><br>
+            Tool: ${EditorTools[this.toolIndex].name},&nbsp;
+            Selected: ${item ? item.type + ' (' + this.selected.list + ' ' + this.selected.index + ')' : 'none'},&nbsp;
+            Grid: ${this.snapToGrid ? this.gridSize : 'off'},&nbsp;
+            Undo/Redo: ${this.undoStack.length}/${this.redoStack.length},&nbsp;
+            Test Play: ${this.testPlaying}
+            <br><hr style="border: none; border-top: 1px solid #00ff00; margin-top: 5px; margin-bottom: 5px;">
+            ${super.getSceneStateHtml()}
+        `;
+        return vHtml;
+    }
+
+    renderScene() {
+        if (this.testPlaying) {
+            super.renderScene();
+            this.renderBanner('TEST PLAY • T Back to editor • ESC Stop');
+            return;
+        }
+
+        const ballInfoElement = document.getElementById('currentBallSize');
+        ballInfoElement.textContent = 'Harrison Digital - Level Editor';
+
+        this.renderBackground();
+        if (this.snapToGrid) {
+            this.renderGrid();
+        }
+        this.renderBodies();
+        this.renderSpawnArea();
+        this.renderSelection();
+        this.renderToolCursor();
+        this.renderEditorHud();
+    }
+
+    renderGrid() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= this.canvas.width; x += this.gridSize) {
+            ctx.strokeStyle = x % (this.gridSize * 5) === 0 ? 'rgba(255, 255, 255, 0.12)' : 'rgba(255, 255, 255, 0.05)';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.canvas.height);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= this.canvas.height; y += this.gridSize) {
+            ctx.strokeStyle = y % (this.gridSize * 5) === 0 ? 'rgba(255, 255, 255, 0.12)' : 'rgba(255, 255, 255, 0.05)';
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.canvas.width, y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Where balls wait to drop and how far they can be moved
+    renderSpawnArea() {
+        const ctx = this.ctx;
+        const spawn = this.levelData.spawn;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 6]);
+        ctx.beginPath();
+        ctx.moveTo(spawn.minX, spawn.y);
+        ctx.lineTo(spawn.maxX, spawn.y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Dashed box round everything built from the selected item
+    renderSelection() {
+        if (!this.selected) {
+            return;
+        }
+
+        const bounds = this.getItemBodies(this.selected).map((body) => body.bounds);
+        const minX = Math.min(...bounds.map((b) => b.min.x)) - 6;
+        const minY = Math.min(...bounds.map((b) => b.min.y)) - 6;
+        const maxX = Math.max(...bounds.map((b) => b.max.x)) + 6;
+        const maxY = Math.max(...bounds.map((b) => b.max.y)) + 6;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+        ctx.restore();
+    }
+
+    // Cross where the current tool will place
+    renderToolCursor() {
+        if (this.toolIndex === 0) {
+            return;
+        }
+
+        const x = this.snap(this.mouse.x);
+        const y = this.snap(this.mouse.y);
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 10, y);
+        ctx.lineTo(x + 10, y);
+        ctx.moveTo(x, y - 10);
+        ctx.lineTo(x, y + 10);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    renderEditorHud() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textBaseline = 'middle';
+
+        // Tool palette
+        ctx.font = '18px Arial';
+        ctx.textAlign = 'left';
+        let x = 40;
+        EditorTools.forEach((tool, index) => {
+            const label = index + ' ' + tool.name;
+            const width = ctx.measureText(label).width + 20;
+            if (index === this.toolIndex) {
+                ctx.fillStyle = '#444444';
+                ctx.fillRect(x - 10, 16, width, 28);
+            }
+            ctx.fillStyle = index === this.toolIndex ? '#00ff00' : '#cccccc';
+            ctx.fillText(label, x, 30);
+            x += width + 8;
+        });
+
+        // Level and selection
+        const item = this.getSelectedItem();
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#888888';
+        ctx.fillText(
+            `${this.levelData.name} • Grid ${this.snapToGrid ? this.gridSize + 'px' : 'off'} • ${item ? 'Selected: ' + item.type : 'Nothing selected'}`,
+            40,
+            62
+        );
+
+        if (this.message && this.clock.currentTime - this.messageTime < this.messageDuration) {
+            ctx.font = 'bold 20px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#ffc000';
+            ctx.fillText(this.message, this.canvas.width / 2, this.canvas.height - 80);
+        }
+
+        ctx.restore();
+
+        this.renderBanner('Click Place/Select • Drag Move • Q E Wheel Rotate • - = Length • [ ] Thickness • DEL Delete • G Grid');
+        this.renderBanner('Z Undo • Y Redo • T Test Play • S Save • L Load • X Export • I Import • N New • ESC Menu', 22);
+    }
+
+    renderBanner(text, offset = 0) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#888888';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, this.canvas.width / 2, this.canvas.height - 52 + offset);
+        ctx.restore();
+    }
+}
+
+SceneBase.register('editor', SceneEditor);
@@ -0,0 +1,177 @@
+import { SceneBase } from './scenebase.js';
+import { GameModes } from './constants.js';
+import { DifficultyProfiles } from './difficulty.js';
+
+// Browse the high score tables - ← → switch difficulty
+export class SceneHighScores extends SceneBase {
+    constructor(canvas, manager) {
+        super(manager);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.inputHandler = null;
+
+        this.clock = {
+            deltaTime: 0,
+            currentTime: 0,
+        };
+
+        this.mode = GameModes.classic;
+        this.difficulties = Object.keys(DifficultyProfiles);
+        this.difficultyIndex = 0;
+
+        // ← → arrive every frame while held - space them out
+        this.horizontalRepeatDelay = 250; // ms
+        this.lastHorizontalInput = 0;
+
+        this.exitToMenu = false;
+    }
+
+    enter() {
+        // Called when the scene becomes active - open on the difficulty being played
+        this.difficultyIndex = Math.max(0, this.difficulties.indexOf(this.manager.settings.get('difficulty')));
+        this.exitToMenu = false;
+    }
+
+    exit() {
+        // Called when the scene is deactivated
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        if (this.exitToMenu) {
+            this.exitToMenu = false;
+            return { scene: 'menu', transition: 'slide' };
+        }
+        return null;
+    }
+
+    render(ctx) {
+        this.renderScene();
+    }
+
+    getSceneStateHtml() {
+        const difficulty = this.difficulties[this.difficultyIndex];
+        const vHtml = `
+            <strong>Scene: High Scores</strong><br>
+            Table: ${this.mode} / ${difficulty},&nbsp;
+            Entries: ${this.manager.highScores.getEntries(this.mode, difficulty).length}
+        `;
+        return vHtml;
+    }
+
+    setupEventHandlers() {}
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return Math.floor(totalSeconds / 60) + ':' + (totalSeconds % 60).toString().padStart(2, '0');
+    }
+
+    renderScene() {
+        const ballInfoElement = document.getElementById('currentBallSize');
+        ballInfoElement.textContent = 'Harrison Digital - High Scores';
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Dark background
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Title
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText('HIGH SCORES', this.canvas.width / 2, 70);
+
+        // Difficulty tabs
+        const difficulty = this.difficulties[this.difficultyIndex];
+        this.ctx.font = '28px Arial';
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.fillText('◀  ' + this.mode + ' • ' + difficulty + '  ▶', this.canvas.width / 2, 130);
+
+        // Table
+        const columns = [
+            { title: '#', x: 220, align: 'right' },
+            { title: 'Name', x: 260, align: 'left' },
+            { title: 'Score', x: 600, align: 'right' },
+            { title: 'Ball', x: 700, align: 'right' },
+            { title: 'Time', x: 820, align: 'right' },
+            { title: 'Date', x: 1060, align: 'right' },
+        ];
+        const headerY = 190;
+        const lineHeight = 40;
+
+        this.ctx.font = 'bold 22px Arial';
+        this.ctx.fillStyle = '#888888';
+        columns.forEach((column) => {
+            this.ctx.textAlign = column.align;
+            this.ctx.fillText(column.title, column.x, headerY);
+        });
+
+        const entries = this.manager.highScores.getEntries(this.mode, difficulty);
+        if (entries.length === 0) {
+            this.ctx.font = '24px Arial';
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('No scores yet', this.canvas.width / 2, headerY + lineHeight * 2);
+        }
+
+        this.ctx.font = '22px Arial';
+        this.ctx.fillStyle = '#cccccc';
+        entries.forEach((entry, index) => {
+            const y = headerY + (index + 1) * lineHeight;
+            const values = [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.largestBall,
+                this.formatTime(entry.duration),
+                entry.date.slice(0, 10),
+            ];
+
+            columns.forEach((column, columnIndex) => {
+                this.ctx.textAlign = column.align;
+                this.ctx.fillText(values[columnIndex].toString(), column.x, y);
+            });
+        });
+
+        // Instructions
+        this.ctx.font = '20px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('← → Difficulty • ESC Back', this.canvas.width / 2, this.canvas.height - 40);
+    }
+
+    changeDifficulty(direction) {
+        const now = performance.now();
+        if (now - this.lastHorizontalInput < this.horizontalRepeatDelay) {
+            return;
+        }
+        this.lastHorizontalInput = now;
+
+        const count = this.difficulties.length;
+        this.difficultyIndex = (this.difficultyIndex + direction + count) % count;
+    }
+
+    inputKeyPressed(code, debug) {
+        switch (code) {
+            case 'ArrowLeft':
+                this.changeDifficulty(-1);
+                break;
+            case 'ArrowRight':
+                this.changeDifficulty(1);
+                break;
+            case 'Enter':
+            case 'Escape':
+                this.exitToMenu = true;
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+SceneBase.register('highScores', SceneHighScores);
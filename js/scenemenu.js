@@ -13,11 +13,24 @@ export class SceneMenu extends SceneBase {
         };
 
         this.selectedOption = 0;
-        this.options = ['Start Game', 'Settings'];
+        this.options = ['Start Game', 'Level Editor', 'Load Replay', 'High Scores', 'Settings'];
+        this.next = null;
     }
 
     enter() {
         // Called when the scene becomes active
+        this.next = null;
+
+        // Offer to carry on a game that was left through the pause menu
+        const gameInProgress = this.manager.scenes.ballsX.isGameInProgress();
+        this.options = [
+            ...(gameInProgress ? ['Continue', 'New Game'] : ['Start Game']),
+            'Level Editor',
+            'Load Replay',
+            'High Scores',
+            'Settings',
+        ];
+        this.selectedOption = 0;
     }
 
     exit() {
@@ -25,13 +38,14 @@ export class SceneMenu extends SceneBase {
     }
 
     update(dt) {
-        // Update timing
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
-
-        return null; // No automatic transitions - handled by input
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        // Leave once a menu option has picked the next scene
+        const next = this.next;
+        this.next = null;
+        return next;
     }
 
     render(ctx) {
@@ -66,8 +80,9 @@ export class SceneMenu extends SceneBase {
         this.ctx.fillText('OH BALLS', this.canvas.width / 2, 200);
 
         // Menu options
-        const startY = 350;
-        const lineHeight = 80;
+        // Room for six options between the title and the instructions
+        const startY = 310;
+        const lineHeight = 60;
 
         this.options.forEach((option, index) => {
             const y = startY + index * lineHeight;
@@ -76,7 +91,7 @@ export class SceneMenu extends SceneBase {
             // Highlight selected option
             if (isSelected) {
                 this.ctx.fillStyle = '#444444';
-                this.ctx.fillRect(this.canvas.width / 2 - 150, y - 30, 300, 60);
+                this.ctx.fillRect(this.canvas.width / 2 - 150, y - 27, 300, 54);
             }
 
             // Option text
@@ -93,6 +108,31 @@ export class SceneMenu extends SceneBase {
         this.ctx.fillText('↑ ↓ Navigate • ENTER Select', this.canvas.width / 2, this.canvas.height - 60);
     }
 
+    selectCurrentOption() {
+        switch (this.options[this.selectedOption]) {
+            case 'Start Game':
+            case 'New Game':
+                this.next = { scene: 'ballsX', params: { newGame: true }, transition: 'fade' };
+                break;
+            case 'Continue':
+                this.next = { scene: 'ballsX', transition: 'fade' };
+                break;
+            case 'Level Editor':
+                this.next = { scene: 'editor', transition: 'fade' };
+                break;
+            case 'Load Replay':
+                // Pick a file, the replay scene shows any import error
+                this.next = { scene: 'replay', params: { importReplay: true }, transition: 'fade' };
+                break;
+            case 'High Scores':
+                this.next = { scene: 'highScores', transition: 'slide' };
+                break;
+            case 'Settings':
+                this.next = { scene: 'settings', transition: 'slide' };
+                break;
+        }
+    }
+
     inputKeyPressed(code, debug) {
         switch (code) {
             case 'ArrowUp':
@@ -102,10 +142,12 @@ export class SceneMenu extends SceneBase {
                 this.selectedOption = (this.selectedOption + 1) % this.options.length;
                 break;
             case 'Enter':
-                // Selection is handled by SceneManager
+                this.selectCurrentOption();
                 break;
             default:
                 break;
         }
     }
 }
+
+SceneBase.register('menu', SceneMenu);
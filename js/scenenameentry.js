@@ -0,0 +1,187 @@
+import { SceneBase } from './scenebase.js';
+
+// Arcade style name entry for a new high score - ↑ ↓ pick a character, ← → move between them
+export class SceneNameEntry extends SceneBase {
+    constructor(canvas, manager) {
+        super(manager);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.inputHandler = null;
+
+        this.clock = {
+            deltaTime: 0,
+            currentTime: 0,
+        };
+
+        this.characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+        this.nameLength = 5;
+        this.name = [];
+        this.cursor = 0;
+
+        // ← → arrive every frame while held (they drive the ball in game) - space them out here
+        this.horizontalRepeatDelay = 180; // ms
+        this.lastHorizontalInput = 0;
+
+        // Ignore input briefly so a drop pressed as the game ended doesn't submit straight away
+        this.inputGuardTime = 600; // ms
+        this.enterTime = 0;
+
+        this.game = null;
+        this.done = false;
+    }
+
+    enter(params = {}) {
+        // Called when the scene becomes active - params is the finished game's summary
+        this.game = params;
+        this.done = false;
+        this.cursor = 0;
+        this.enterTime = performance.now();
+
+        // Start from the last name entered so repeat players can just confirm
+        const lastName = this.manager.highScores.lastName.padEnd(this.nameLength, ' ');
+        this.name = [...lastName.slice(0, this.nameLength)].map((c) => (this.characters.includes(c) ? c : ' '));
+    }
+
+    exit() {
+        // Called when the scene is deactivated
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        if (this.done) {
+            // Pass the game summary straight on
+            return { scene: 'results', params: this.game, transition: 'crossfade' };
+        }
+        return null;
+    }
+
+    render(ctx) {
+        this.renderScene();
+    }
+
+    getSceneStateHtml() {
+        const vHtml = `
+            <strong>Scene: Name Entry</strong><br>
+            Name: "${this.name.join('')}", Cursor: ${this.cursor}<br>
+            Score: ${this.game ? this.game.results.score : 0}
+        `;
+        return vHtml;
+    }
+
+    setupEventHandlers() {}
+
+    changeCharacter(direction) {
+        const index = this.characters.indexOf(this.name[this.cursor]);
+        const count = this.characters.length;
+        this.name[this.cursor] = this.characters[(index + direction + count) % count];
+    }
+
+    moveCursor(direction) {
+        const now = performance.now();
+        if (now - this.lastHorizontalInput < this.horizontalRepeatDelay) {
+            return;
+        }
+        this.lastHorizontalInput = now;
+        this.cursor = Math.max(0, Math.min(this.nameLength - 1, this.cursor + direction));
+    }
+
+    submit() {
+        const { mode, difficulty, results } = this.game;
+        const name = this.name.join('').trim() || '?';
+
+        this.manager.highScores.addEntry(mode, difficulty, {
+            name: name,
+            score: results.score,
+            largestBall: results.largestBall,
+            duration: results.timePlayed,
+            seed: results.seed,
+            date: new Date().toISOString(),
+        });
+        this.done = true;
+    }
+
+    renderScene() {
+        const ballInfoElement = document.getElementById('currentBallSize');
+        ballInfoElement.textContent = 'Harrison Digital - New High Score';
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Dark background
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Title
+        this.ctx.font = 'bold 64px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#ffc000';
+        this.ctx.fillText('NEW HIGH SCORE', this.canvas.width / 2, 150);
+
+        if (this.game) {
+            this.ctx.font = '36px Arial';
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(this.game.results.score + ' • ' + this.game.difficulty, this.canvas.width / 2, 240);
+        }
+
+        // Character boxes
+        const boxSize = 80;
+        const boxSpacing = 20;
+        const totalWidth = this.nameLength * boxSize + (this.nameLength - 1) * boxSpacing;
+        const startX = (this.canvas.width - totalWidth) / 2;
+        const boxY = 340;
+
+        this.name.forEach((character, index) => {
+            const x = startX + index * (boxSize + boxSpacing);
+            const isSelected = index === this.cursor;
+
+            this.ctx.fillStyle = isSelected ? '#555555' : '#444444';
+            this.ctx.fillRect(x, boxY, boxSize, boxSize);
+
+            this.ctx.strokeStyle = isSelected ? '#00ff00' : '#666666';
+            this.ctx.lineWidth = isSelected ? 3 : 1;
+            this.ctx.strokeRect(x, boxY, boxSize, boxSize);
+
+            this.ctx.font = 'bold 48px Arial';
+            this.ctx.fillStyle = isSelected ? '#00ff00' : '#cccccc';
+            this.ctx.fillText(character === ' ' ? '_' : character, x + boxSize / 2, boxY + boxSize / 2);
+        });
+
+        // Instructions
+        this.ctx.font = '20px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('↑ ↓ Letter • ← → Move • ENTER Save', this.canvas.width / 2, this.canvas.height - 60);
+    }
+
+    inputKeyPressed(code, debug) {
+        if (this.done || performance.now() - this.enterTime < this.inputGuardTime) {
+            return;
+        }
+
+        switch (code) {
+            case 'ArrowUp':
+                this.changeCharacter(1);
+                break;
+            case 'ArrowDown':
+                this.changeCharacter(-1);
+                break;
+            case 'ArrowLeft':
+                this.moveCursor(-1);
+                break;
+            case 'ArrowRight':
+                this.moveCursor(1);
+                break;
+            case 'Enter':
+            case 'Space':
+                this.submit();
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+SceneBase.register('nameEntry', SceneNameEntry);
@@ -0,0 +1,248 @@
+import { SceneBase } from './scenebase.js';
+
+// Pause menu pushed over a running game - the game stays frozen beneath it until it is popped
+export class ScenePause extends SceneBase {
+    constructor(canvas, manager) {
+        super(manager);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.inputHandler = null;
+        this.isOverlay = true;
+
+        this.clock = {
+            deltaTime: 0,
+            currentTime: 0,
+        };
+
+        // The paused game - whichever scene this was pushed over
+        this.game = null;
+
+        this.selectedOption = 0;
+        this.options = ['Resume', 'Restart', 'Settings', 'Quit'];
+
+        // Exit confirmation dialog state
+        this.showExitDialog = false;
+        this.exitToMenu = false;
+        this.dialogSelectedOption = 1; // 0 = Exit, 1 = Return (default focus on Return)
+        this.dialogOptions = ['Exit', 'Return'];
+    }
+
+    enter() {
+        // Called when the scene becomes active
+        this.game = this.manager.getSceneBelow(this);
+        this.selectedOption = 0;
+        this.showExitDialog = false;
+        this.exitToMenu = false;
+        this.dialogSelectedOption = 1;
+    }
+
+    exit() {
+        // Called when the scene is deactivated
+        this.game = null;
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        if (this.exitToMenu) {
+            this.exitToMenu = false;
+            return { scene: 'menu', transition: 'fade' };
+        }
+        return null;
+    }
+
+    render(ctx) {
+        this.renderScene();
+    }
+
+    getSceneStateHtml() {
+        const vHtml = `
+            <strong>Scene: Pause</strong><br>
+            Selected: ${this.showExitDialog ? this.dialogOptions[this.dialogSelectedOption] : this.options[this.selectedOption]}
+        `;
+        return vHtml;
+    }
+
+    setupEventHandlers() {}
+
+    renderScene() {
+        if (this.showExitDialog) {
+            this.renderExitDialog();
+        } else {
+            this.renderPauseMenu();
+        }
+    }
+
+    renderPauseMenu() {
+        const ctx = this.ctx;
+
+        // Semi-transparent overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.font = 'bold 64px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText('PAUSED', this.canvas.width / 2, 180);
+
+        const startY = 290;
+        const lineHeight = 70;
+
+        this.options.forEach((option, index) => {
+            const y = startY + index * lineHeight;
+            const isSelected = index === this.selectedOption;
+
+            // Highlight selected option
+            if (isSelected) {
+                ctx.fillStyle = '#444444';
+                ctx.fillRect(this.canvas.width / 2 - 150, y - 28, 300, 56);
+            }
+
+            ctx.font = '32px Arial';
+            ctx.fillStyle = isSelected ? '#00ff00' : '#cccccc';
+            ctx.fillText(option, this.canvas.width / 2, y);
+        });
+
+        // Instructions
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('↑ ↓ Navigate • ENTER Select • ESC Resume', this.canvas.width / 2, this.canvas.height - 60);
+    }
+
+    renderExitDialog() {
+        // Semi-transparent overlay
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Dialog box
+        const dialogWidth = 400;
+        const dialogHeight = 250;
+        const dialogX = (this.canvas.width - dialogWidth) / 2;
+        const dialogY = (this.canvas.height - dialogHeight) / 2;
+
+        // Dialog background
+        this.ctx.fillStyle = '#333333';
+        this.ctx.fillRect(dialogX, dialogY, dialogWidth, dialogHeight);
+
+        // Dialog border
+        this.ctx.strokeStyle = '#666666';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(dialogX, dialogY, dialogWidth, dialogHeight);
+
+        // Dialog title
+        this.ctx.font = 'bold 24px Arial';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('Exit game - are you sure', this.canvas.width / 2, dialogY + 80);
+
+        // Dialog options
+        const startY = dialogY + 140;
+        const buttonWidth = 120;
+        const buttonHeight = 40;
+        const buttonSpacing = 40;
+        const totalButtonWidth = this.dialogOptions.length * buttonWidth + (this.dialogOptions.length - 1) * buttonSpacing;
+        const startX = (this.canvas.width - totalButtonWidth) / 2;
+
+        this.dialogOptions.forEach((option, index) => {
+            const buttonX = startX + index * (buttonWidth + buttonSpacing);
+            const buttonY = startY;
+            const isSelected = index === this.dialogSelectedOption;
+
+            // Button background
+            this.ctx.fillStyle = isSelected ? '#555555' : '#444444';
+            this.ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
+
+            // Button border
+            this.ctx.strokeStyle = isSelected ? '#00ff00' : '#666666';
+            this.ctx.lineWidth = isSelected ? 3 : 1;
+            this.ctx.strokeRect(buttonX, buttonY, buttonWidth, buttonHeight);
+
+            // Button text
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = isSelected ? '#00ff00' : '#cccccc';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(option, buttonX + buttonWidth / 2, buttonY + buttonHeight / 2);
+        });
+
+        // Instructions
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('← → Navigate • ENTER Select • ESC Cancel', this.canvas.width / 2, dialogY + dialogHeight - 30);
+    }
+
+    inputKeyPressed(code, debug) {
+        if (this.showExitDialog) {
+            this.inputKeyPressedExitDialog(code);
+            return;
+        }
+
+        switch (code) {
+            case 'ArrowUp':
+                this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
+                break;
+            case 'ArrowDown':
+                this.selectedOption = (this.selectedOption + 1) % this.options.length;
+                break;
+            case 'Enter':
+                switch (this.options[this.selectedOption]) {
+                    case 'Resume':
+                        this.manager.popScene();
+                        break;
+                    case 'Restart':
+                        this.game.restartLevel();
+                        this.manager.popScene();
+                        break;
+                    case 'Settings':
+                        // Stay paused - settings pops back here
+                        this.manager.pushScene('settings', {}, 'slide');
+                        break;
+                    case 'Quit':
+                        // Show exit confirmation dialog in place of the pause menu
+                        this.showExitDialog = true;
+                        this.dialogSelectedOption = 1; // Default focus on "Return"
+                        break;
+                }
+                break;
+            case 'Escape':
+            case 'KeyP':
+                this.manager.popScene();
+                break;
+            default:
+                break;
+        }
+    }
+
+    inputKeyPressedExitDialog(code) {
+        switch (code) {
+            case 'ArrowLeft':
+                this.dialogSelectedOption = (this.dialogSelectedOption - 1 + this.dialogOptions.length) % this.dialogOptions.length;
+                break;
+            case 'ArrowRight':
+                this.dialogSelectedOption = (this.dialogSelectedOption + 1) % this.dialogOptions.length;
+                break;
+            case 'Enter':
+                if (this.dialogSelectedOption === 0) {
+                    // Exit selected - update() returns to the menu
+                    this.exitToMenu = true;
+                }
+                // Hide dialog regardless of selection
+                this.showExitDialog = false;
+                this.dialogSelectedOption = 1; // Reset to default
+                break;
+            case 'Escape':
+                // Cancel dialog - hide it
+                this.showExitDialog = false;
+                this.dialogSelectedOption = 1; // Reset to default
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+SceneBase.register('pause', ScenePause);
@@ -0,0 +1,328 @@
+import { SceneBase } from './scenebase.js';
+import { SceneBallsX } from './sceneballsx.js';
+import { SeededRandom } from './random.js';
+import { exportReplay, importReplay } from './replay.js';
+import { fixedTimeStep } from './constants.js';
+import { PhysicsBodyFactory, PhysicsJointFactory } from './physics.js';
+
+// Plays a recorded game back through the same step code as SceneBallsX, taking actions
+// from the replay log instead of the keyboard
+export class SceneReplay extends SceneBallsX {
+    constructor(canvas, manager) {
+        // Own generator so watching a replay never disturbs the live game's sequence
+        super(canvas, manager, new SeededRandom());
+
+        this.replay = null;
+        this.actionIndex = 0;
+        this.playing = false;
+        this.ended = false;
+
+        this.speeds = [0.5, 1, 4];
+        this.speedIndex = 1;
+
+        // Scrubbing moves a target marker while the key is held and seeks once it is released
+        this.scrubStep = null;
+        this.scrubbedThisFrame = false;
+        this.scrubSpeed = 60; // steps per input tick - one second of game time
+
+        // A seek re-simulates towards seekStep a budget of steps each frame, so going back in a long
+        // replay doesn't freeze the page while it replays everything from the start
+        this.seekStep = null;
+        this.seekStepsPerFrame = 300; // five seconds of game time
+
+        this.errorMessage = null;
+        this.exitToMenu = false;
+    }
+
+    loadReplay(replay) {
+        this.replay = replay;
+        this.errorMessage = null;
+        this.speedIndex = 1;
+        this.restartReplay();
+        this.playing = true;
+    }
+
+    enter(params = {}) {
+        // Called when the scene becomes active - params { replay } plays it, { importReplay } asks for a file
+        PhysicsBodyFactory.setWorld(this.physics.world);
+        PhysicsJointFactory.setWorld(this.physics.world);
+
+        if (params.replay) {
+            this.loadReplay(params.replay);
+        } else if (params.importReplay) {
+            this.importReplay();
+        }
+    }
+
+    // Auto-pause just stops playback - the replay has no pause menu
+    pause() {
+        this.playing = false;
+    }
+
+    // Replays keep the difficulty they were recorded with
+    applySelectedDifficulty() {}
+
+    restartReplay() {
+        // Replays without a level were recorded on the default one
+        this.newGame(this.replay.seed, this.replay.difficulty, this.replay.level || this.getDefaultLevel());
+        this.actionIndex = 0;
+        this.ended = false;
+        this.scrubStep = null;
+        this.seekStep = null;
+    }
+
+    // Start re-simulating to the given step - going backwards restarts from the seed. update()
+    // carries on with continueSeek() each frame until it gets there.
+    seekTo(step) {
+        const target = Math.max(0, Math.min(this.replay.stepCount, step));
+        if (target < this.clock.gameStep) {
+            this.restartReplay();
+        }
+
+        this.seekStep = target;
+        this.continueSeek();
+    }
+
+    // Run up to a frame's budget of steps towards the seek target
+    continueSeek() {
+        let steps = 0;
+        while (this.clock.gameStep < this.seekStep && !this.gameOver && steps < this.seekStepsPerFrame) {
+            this.stepGame();
+            steps++;
+        }
+
+        this._physicsAccumulator = 0;
+        if (this.clock.gameStep >= this.seekStep || this.gameOver) {
+            this.seekStep = null;
+            this.ended = this.clock.gameStep >= this.replay.stepCount || this.gameOver;
+        }
+    }
+
+    isSeeking() {
+        return this.seekStep !== null;
+    }
+
+    takeActionsForStep(step) {
+        const actions = [];
+        const log = this.replay.actions;
+
+        while (this.actionIndex < log.length && log[this.actionIndex][0] === step) {
+            actions.push(log[this.actionIndex][1]);
+            this.actionIndex++;
+        }
+
+        return actions;
+    }
+
+    stepGame() {
+        if (this.clock.gameStep >= this.replay.stepCount) {
+            this.ended = true;
+            return;
+        }
+
+        super.stepGame();
+    }
+
+    getSceneStateHtml() {
+        if (!this.replay) {
+            return `<strong>Scene: Replay</strong><br>No replay loaded`;
+        }
+
+        const vHtml = `
+            <strong>Scene: Replay</strong><br>
+            Step: ${this.clock.gameStep} / ${this.replay.stepCount},&nbsp;
+            Actions: ${this.actionIndex} / ${this.replay.actions.length},&nbsp;
+            Speed: ${this.speeds[this.speedIndex]}x
+            <br><hr style="border: none; border-top: 1px solid #00ff00; margin-top: 5px; margin-bottom: 5px;">
+            ${super.getSceneStateHtml()}
+        `;
+        return vHtml;
+    }
+
+    renderReplayBar() {
+        const ctx = this.ctx;
+        const barWidth = 400;
+        const barX = (this.canvas.width - barWidth) / 2;
+        const barY = 56;
+
+        ctx.save();
+
+        // Status
+        const state = this.isSeeking() ? 'SEEKING' : this.ended ? 'ENDED' : this.playing ? 'PLAYING' : 'PAUSED';
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#00ffff';
+        ctx.fillText('REPLAY ' + this.speeds[this.speedIndex] + 'x • ' + state, this.canvas.width / 2, 30);
+
+        // Scrub bar
+        const progress = this.replay.stepCount > 0 ? this.clock.gameStep / this.replay.stepCount : 0;
+        ctx.fillStyle = '#444444';
+        ctx.fillRect(barX, barY, barWidth, 8);
+        ctx.fillStyle = '#00ff00';
+        ctx.fillRect(barX, barY, barWidth * progress, 8);
+
+        // Marker for where a scrub or seek is heading
+        const targetStep = this.scrubStep ?? this.seekStep;
+        if (targetStep !== null) {
+            const scrubX = barX + (barWidth * targetStep) / Math.max(1, this.replay.stepCount);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(scrubX - 2, barY - 6, 4, 20);
+        }
+
+        // Time
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#cccccc';
+        const shownStep = targetStep ?? this.clock.gameStep;
+        ctx.fillText(
+            this.formatTime(shownStep * fixedTimeStep) + ' / ' + this.formatTime(this.replay.stepCount * fixedTimeStep),
+            this.canvas.width / 2,
+            barY + 26
+        );
+
+        ctx.restore();
+    }
+
+    renderNoReplay() {
+        const ballInfoElement = document.getElementById('currentBallSize');
+        ballInfoElement.textContent = 'Harrison Digital - Replay';
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.ctx.font = '32px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#cccccc';
+        this.ctx.fillText(this.errorMessage || 'No replay loaded', this.canvas.width / 2, this.canvas.height / 2);
+
+        this.ctx.font = '20px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText('I Import • ESC Menu', this.canvas.width / 2, this.canvas.height - 60);
+    }
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return Math.floor(totalSeconds / 60) + ':' + (totalSeconds % 60).toString().padStart(2, '0');
+    }
+
+    renderScene() {
+        if (!this.replay) {
+            this.renderNoReplay();
+            return;
+        }
+
+        super.renderScene();
+        this.renderReplayBar();
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(
+            'SPACE Play/Pause • ↑ ↓ Speed • ← → Scrub • E Export • I Import • ESC Menu',
+            this.canvas.width / 2,
+            this.canvas.height - 40
+        );
+    }
+
+    importReplay() {
+        importReplay()
+            .then((replay) => this.loadReplay(replay))
+            .catch((error) => {
+                // Cancelling the dialog leaves the replay being watched alone
+                if (error.cancelled && this.replay) {
+                    return;
+                }
+                console.log('Replay import failed: ' + error.message);
+                this.replay = null;
+                this.errorMessage = 'Replay import failed: ' + error.message;
+            });
+    }
+
+    inputKeyPressed(code, debug) {
+        switch (code) {
+            case 'Escape':
+                this.exitToMenu = true;
+                return;
+            case 'KeyI':
+                this.importReplay();
+                return;
+            default:
+                break;
+        }
+
+        if (!this.replay) {
+            return;
+        }
+
+        switch (code) {
+            case 'Space':
+                if (this.ended) {
+                    this.restartReplay();
+                    this.playing = true;
+                } else {
+                    this.playing = !this.playing;
+                }
+                break;
+            case 'ArrowUp':
+                this.speedIndex = Math.min(this.speeds.length - 1, this.speedIndex + 1);
+                break;
+            case 'ArrowDown':
+                this.speedIndex = Math.max(0, this.speedIndex - 1);
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const direction = code === 'ArrowLeft' ? -1 : 1;
+                const from = this.scrubStep ?? this.seekStep ?? this.clock.gameStep;
+                this.scrubStep = Math.max(0, Math.min(this.replay.stepCount, from + direction * this.scrubSpeed));
+                this.scrubbedThisFrame = true;
+                break;
+            }
+            case 'KeyE':
+                exportReplay(this.replay);
+                break;
+            default:
+                break;
+        }
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        if (this.exitToMenu) {
+            this.exitToMenu = false;
+            return { scene: 'menu', transition: 'fade' };
+        }
+
+        if (!this.replay) {
+            return null;
+        }
+
+        // Seek once the scrub keys have been let go
+        if (this.scrubStep !== null && !this.scrubbedThisFrame) {
+            const target = this.scrubStep;
+            this.scrubStep = null;
+            this.seekTo(target);
+        } else if (this.isSeeking()) {
+            this.continueSeek();
+        }
+        this.scrubbedThisFrame = false;
+
+        if (this.playing && !this.ended && this.scrubStep === null && !this.isSeeking()) {
+            this.updatePhysics(this.clock.deltaTime * this.speeds[this.speedIndex]);
+            this.ended = this.ended || this.gameOver;
+        }
+
+        if (this.ended) {
+            this.playing = false;
+        }
+
+        return null;
+    }
+}
+
+SceneBase.register('replay', SceneReplay);
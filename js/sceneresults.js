@@ -0,0 +1,192 @@
+import { SceneBase } from './scenebase.js';
+import { exportReplay } from './replay.js';
+
+export class SceneResults extends SceneBase {
+    constructor(canvas, manager) {
+        super(manager);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.inputHandler = null;
+
+        this.clock = {
+            deltaTime: 0,
+            currentTime: 0,
+        };
+
+        this.results = {
+            score: 0,
+            bestScore: 0,
+            largestBall: 0,
+            timePlayed: 0,
+            seed: 0,
+        };
+
+        this.game = null;
+
+        this.selectedOption = 0;
+        this.options = ['Retry', 'Same Seed', 'Watch Replay', 'Export Replay', 'Menu'];
+        this.next = null;
+    }
+
+    enter(params = {}) {
+        // Called when the scene becomes active - params is the finished game's summary
+        this.game = params;
+        if (params.results) {
+            this.results = params.results;
+        }
+        this.selectedOption = 0;
+        this.next = null;
+    }
+
+    exit() {
+        // Called when the scene is deactivated
+    }
+
+    update(dt) {
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
+
+        // Leave once a menu option has picked the next scene
+        const next = this.next;
+        this.next = null;
+        return next;
+    }
+
+    render(ctx) {
+        this.renderScene();
+    }
+
+    getSceneStateHtml() {
+        const vHtml = `
+            <strong>Scene: Results</strong><br>
+            Score: ${this.results.score}<br>
+            Largest Ball: ${this.results.largestBall}<br>
+            Time Played: ${this.formatTime(this.results.timePlayed)}<br>
+            Seed: ${this.results.seed}<br>
+            Level: ${this.results.level}<br>
+            Selected: ${this.options[this.selectedOption]}
+        `;
+        return vHtml;
+    }
+
+    setupEventHandlers() {}
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes + ':' + seconds.toString().padStart(2, '0');
+    }
+
+    renderScene() {
+        const ballInfoElement = document.getElementById('currentBallSize');
+        ballInfoElement.textContent = 'Harrison Digital - Results';
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Dark background
+        this.ctx.fillStyle = '#2a2a2a';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Title
+        this.ctx.font = 'bold 72px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#ff0040';
+        this.ctx.fillText(this.results.won ? 'LEVEL COMPLETE' : 'GAME OVER', this.canvas.width / 2, 90);
+
+        // Results
+        const stats = [
+            ['Final Score', this.results.score],
+            ['Best Score', this.results.bestScore],
+            ['Largest Ball', this.results.largestBall],
+            ['Time Played', this.formatTime(this.results.timePlayed)],
+            ['Seed', this.results.seed],
+        ];
+
+        stats.forEach(([label, value], index) => {
+            const y = 170 + index * 42;
+
+            this.ctx.font = '32px Arial';
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(label + ':', this.canvas.width / 2 - 200, y);
+
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(value.toString(), this.canvas.width / 2 + 200, y);
+        });
+
+        // Options
+        const startY = 400;
+        const lineHeight = 56;
+
+        this.options.forEach((option, index) => {
+            const y = startY + index * lineHeight;
+            const isSelected = index === this.selectedOption;
+
+            // Highlight selected option
+            if (isSelected) {
+                this.ctx.fillStyle = '#444444';
+                this.ctx.fillRect(this.canvas.width / 2 - 150, y - 26, 300, 52);
+            }
+
+            // Option text
+            this.ctx.font = '32px Arial';
+            this.ctx.fillStyle = isSelected ? '#00ff00' : '#cccccc';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(option, this.canvas.width / 2, y);
+        });
+
+        // Instructions
+        this.ctx.font = '20px Arial';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('↑ ↓ Navigate • ENTER Select', this.canvas.width / 2, this.canvas.height - 40);
+    }
+
+    selectCurrentOption() {
+        switch (this.options[this.selectedOption]) {
+            case 'Retry':
+                this.next = { scene: 'ballsX', params: { newGame: true, level: this.game.level }, transition: 'fade' };
+                break;
+            case 'Same Seed':
+                // Replay the identical ball sequence
+                this.next = {
+                    scene: 'ballsX',
+                    params: { newGame: true, seed: this.results.seed, difficulty: this.game.difficulty, level: this.game.level },
+                    transition: 'fade',
+                };
+                break;
+            case 'Watch Replay':
+                this.next = { scene: 'replay', params: { replay: this.game.replay }, transition: 'fade' };
+                break;
+            case 'Export Replay':
+                // Stay on the results screen
+                exportReplay(this.game.replay);
+                break;
+            case 'Menu':
+                this.next = { scene: 'menu', transition: 'fade' };
+                break;
+        }
+    }
+
+    inputKeyPressed(code, debug) {
+        switch (code) {
+            case 'ArrowUp':
+                this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
+                break;
+            case 'ArrowDown':
+                this.selectedOption = (this.selectedOption + 1) % this.options.length;
+                break;
+            case 'Enter':
+                this.selectCurrentOption();
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+SceneBase.register('results', SceneResults);
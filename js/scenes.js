@@ -0,0 +1,11 @@
+// Every scene module - importing one registers its scene with SceneBase
+import './scenesplash.js';
+import './scenemenu.js';
+import './sceneballsx.js';
+import './scenepause.js';
+import './scenesettings.js';
+import './sceneresults.js';
+import './scenereplay.js';
+import './sceneeditor.js';
+import './scenenameentry.js';
+import './scenehighscores.js';
@@ -12,19 +12,25 @@ export class SceneSettings extends SceneBase {
             currentTime: 0,
         };
 
-        // Sample configuration options
-        this.config = {
-            soundEnabled: true,
-            difficulty: 'Medium',
-            graphics: 'High',
-        };
+        // Local copy of the persisted settings, refreshed whenever any of them change
+        this.settings = manager.settings;
+        this.config = this.settings.getAll();
+        this.settings.subscribe((key, value, values) => {
+            this.config = values;
+        });
+
+        // Result of the last export/import, shown under the options
+        this.statusMessage = '';
 
         this.selectedOption = 0;
-        this.options = ['Sound', 'Difficulty', 'Graphics', 'Back'];
+        this.options = ['Sound', 'Difficulty', 'Graphics', 'Aim Guide', 'Export', 'Import', 'Back'];
+        this.exitToMenu = false;
     }
 
     enter() {
         // Called when the scene becomes active
+        this.statusMessage = '';
+        this.exitToMenu = false;
     }
 
     exit() {
@@ -32,13 +38,15 @@ export class SceneSettings extends SceneBase {
     }
 
     update(dt) {
-        // Update timing
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
 
-        return null; // No automatic transitions - handled by input
+        if (this.exitToMenu) {
+            this.exitToMenu = false;
+            return { scene: 'menu', transition: 'slide' };
+        }
+        return null;
     }
 
     render(ctx) {
@@ -50,7 +58,8 @@ export class SceneSettings extends SceneBase {
             <strong>Scene: Settings</strong><br>
             Sound: ${this.config.soundEnabled ? 'On' : 'Off'}<br>
             Difficulty: ${this.config.difficulty}<br>
-            Graphics: ${this.config.graphics}
+            Graphics: ${this.config.graphics}<br>
+            Aim Guide: ${this.config.aimGuide ? 'On' : 'Off'}
         `;
         return vHtml;
     }
@@ -75,8 +84,8 @@ export class SceneSettings extends SceneBase {
         this.ctx.fillText('SETTINGS', this.canvas.width / 2, 120);
 
         // Configuration options
-        const startY = 220;
-        const lineHeight = 80;
+        const startY = 200;
+        const lineHeight = 60;
 
         this.options.forEach((option, index) => {
             const y = startY + index * lineHeight;
@@ -85,7 +94,7 @@ export class SceneSettings extends SceneBase {
             // Highlight selected option
             if (isSelected) {
                 this.ctx.fillStyle = '#444444';
-                this.ctx.fillRect(this.canvas.width / 2 - 200, y - 30, 400, 60);
+                this.ctx.fillRect(this.canvas.width / 2 - 200, y - 27, 400, 54);
             }
 
             // Option text
@@ -107,7 +116,10 @@ export class SceneSettings extends SceneBase {
                 case 'Graphics':
                     value = this.config.graphics;
                     break;
-                case 'Back':
+                case 'Aim Guide':
+                    value = this.config.aimGuide ? 'ON' : 'OFF';
+                    break;
+                default:
                     value = '';
                     break;
             }
@@ -116,6 +128,14 @@ export class SceneSettings extends SceneBase {
             }
         });
 
+        // Export/import result
+        if (this.statusMessage) {
+            this.ctx.font = '20px Arial';
+            this.ctx.fillStyle = '#ffc000';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.statusMessage, this.canvas.width / 2, this.canvas.height - 100);
+        }
+
         // Instructions
         this.ctx.font = '20px Arial';
         this.ctx.fillStyle = '#888888';
@@ -124,26 +144,55 @@ export class SceneSettings extends SceneBase {
     }
 
     toggleCurrentOption() {
-        switch (this.selectedOption) {
-            case 0: // Sound
-                this.config.soundEnabled = !this.config.soundEnabled;
+        switch (this.options[this.selectedOption]) {
+            case 'Sound':
+                this.settings.cycle('soundEnabled');
                 break;
-            case 1: // Difficulty
-                const difficulties = ['Easy', 'Medium', 'Hard'];
-                const currentIndex = difficulties.indexOf(this.config.difficulty);
-                this.config.difficulty = difficulties[(currentIndex + 1) % difficulties.length];
+            case 'Difficulty':
+                this.settings.cycle('difficulty');
                 break;
-            case 2: // Graphics
-                const graphics = ['Low', 'Medium', 'High'];
-                const currentGraphicsIndex = graphics.indexOf(this.config.graphics);
-                this.config.graphics = graphics[(currentGraphicsIndex + 1) % graphics.length];
+            case 'Graphics':
+                this.settings.cycle('graphics');
                 break;
-            case 3: // Back
-                // Return to previous scene - handled by SceneManager
+            case 'Aim Guide':
+                this.settings.cycle('aimGuide');
+                break;
+            case 'Export':
+                this.settings.exportToFile();
+                this.statusMessage = 'Settings exported';
+                break;
+            case 'Import':
+                this.settings
+                    .importFromFile()
+                    .then(({ dropped, defaulted }) => {
+                        const notes = [];
+                        if (dropped.length > 0) {
+                            notes.push('ignored ' + dropped.join(', '));
+                        }
+                        if (defaulted.length > 0) {
+                            notes.push('defaults for ' + defaulted.join(', '));
+                        }
+                        this.statusMessage = 'Settings imported' + (notes.length > 0 ? ' - ' + notes.join('; ') : '');
+                    })
+                    .catch((error) => {
+                        this.statusMessage = 'Import failed: ' + error.message;
+                    });
+                break;
+            case 'Back':
+                this.back();
                 break;
         }
     }
 
+    // Pushed over a paused game it pops back there, opened from the menu it returns to the menu
+    back() {
+        if (this.manager.getSceneBelow(this)) {
+            this.manager.popScene('slide');
+        } else {
+            this.exitToMenu = true;
+        }
+    }
+
     inputKeyPressed(code, debug) {
         switch (code) {
             case 'ArrowUp':
@@ -156,10 +205,12 @@ export class SceneSettings extends SceneBase {
                 this.toggleCurrentOption();
                 break;
             case 'Escape':
-                // Return to previous scene - handled by SceneManager
+                this.back();
                 break;
             default:
                 break;
         }
     }
 }
+
+SceneBase.register('settings', SceneSettings);
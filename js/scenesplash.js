@@ -1,4 +1,6 @@
 import { SceneBase } from './scenebase.js';
+import { AssetManifest, RequiredAssets } from './assets.js';
+import { parseLevel } from './levels.js';
 
 export class SceneSplash extends SceneBase {
     constructor(canvas, manager) {
@@ -13,14 +15,47 @@ export class SceneSplash extends SceneBase {
         };
 
         this.startTime = null;
-        this.displayDuration = 5000; // 5 seconds
+        this.minDisplayDuration = 2000; // ms - stays up at least this long even if loading is instant
         this.hasTransitioned = false;
+        this.skipRequested = false;
+
+        this.assets = manager.assets;
+        this.loadingComplete = false;
+        this.requiredFailures = []; // required assets that failed - the game can't go on to the menu
     }
 
     enter() {
-        // Called when the scene becomes active
+        // Called when the scene becomes active - starts loading everything in the manifest
         this.startTime = performance.now();
         this.hasTransitioned = false;
+        this.skipRequested = false;
+        this.loadingComplete = false;
+        this.requiredFailures = [];
+
+        this.assets.load(AssetManifest).then(() => {
+            this.requiredFailures = this.assets.getFailures(RequiredAssets);
+            this.checkDefaultLevel();
+            this.loadingComplete = true;
+        });
+    }
+
+    // A default level that loads but isn't a valid level is as fatal as a missing one
+    checkDefaultLevel() {
+        const data = this.assets.getJson('defaultLevel');
+        if (!data) {
+            return;
+        }
+        try {
+            parseLevel(data);
+        } catch (error) {
+            console.log('Default level is invalid: ' + error.message);
+            this.requiredFailures.push({
+                type: 'json',
+                key: 'defaultLevel',
+                url: AssetManifest.json.defaultLevel,
+                message: error.message,
+            });
+        }
     }
 
     exit() {
@@ -28,16 +63,14 @@ export class SceneSplash extends SceneBase {
     }
 
     update(dt) {
-        // Update timing
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
+        // Frame timing comes from the SceneManager's clock
+        this.clock.currentTime = this.manager.clock.currentTime;
+        this.clock.deltaTime = dt;
 
         // Check for auto-transition
         if (this.shouldTransition()) {
             this.hasTransitioned = true;
-            return 'menu'; // Return the target scene key
+            return { scene: 'menu', transition: 'fade' };
         }
         return null; // Stay in this scene
     }
@@ -49,12 +82,37 @@ export class SceneSplash extends SceneBase {
     getSceneStateHtml() {
         const vHtml = `
             <strong>Scene: Splash</strong><br>
+            Assets: ${this.assets.loaded} / ${this.assets.total},&nbsp;
+            Errors: ${this.assets.errors.length}
         `;
         return vHtml;
     }
 
     setupEventHandlers() {}
 
+    renderProgressBar() {
+        const barWidth = 400;
+        const barHeight = 12;
+        const barX = (this.canvas.width - barWidth) / 2;
+        const barY = this.canvas.height / 2 + 110;
+
+        this.ctx.fillStyle = '#333344';
+        this.ctx.fillRect(barX, barY, barWidth, barHeight);
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.fillRect(barX, barY, barWidth * this.assets.progress, barHeight);
+
+        this.ctx.strokeStyle = '#666666';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+        // Failed assets don't stop the game unless they are required - just say so
+        if (this.assets.errors.length > 0 && this.requiredFailures.length === 0) {
+            this.ctx.font = '18px Arial';
+            this.ctx.fillStyle = '#ff6060';
+            this.ctx.fillText(this.assets.errors.length + ' asset(s) failed to load', this.canvas.width / 2, barY + 50);
+        }
+    }
+
     renderScene() {
         const ballInfoElement = document.getElementById('currentBallSize');
         ballInfoElement.textContent = 'Harrison Digital - Splash Screen';
@@ -68,6 +126,12 @@ export class SceneSplash extends SceneBase {
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Logo, once it has loaded
+        const logo = this.assets.getImage('logo');
+        if (logo) {
+            this.ctx.drawImage(logo, this.canvas.width / 2 - 32, this.canvas.height / 2 - 240, 64, 64);
+        }
+
         // Main title
         this.ctx.font = 'bold 72px Arial';
         this.ctx.textAlign = 'center';
@@ -83,18 +147,42 @@ export class SceneSplash extends SceneBase {
         // Loading message
         this.ctx.font = '24px Arial';
         this.ctx.fillStyle = '#999999';
-        this.ctx.fillText('Loading...', this.canvas.width / 2, this.canvas.height / 2 + 80);
+        const message = this.loadingComplete ? 'Press any key' : 'Loading... ' + Math.round(this.assets.progress * 100) + '%';
+        if (this.requiredFailures.length > 0) {
+            this.renderLoadError();
+        } else {
+            this.ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2 + 80);
+        }
+
+        this.renderProgressBar();
+    }
+
+    // The game stops here - without a required asset the next scenes would fail
+    renderLoadError() {
+        const urls = this.requiredFailures.map((failure) => failure.url).join(', ');
+        this.ctx.font = '24px Arial';
+        this.ctx.fillStyle = '#ff6060';
+        this.ctx.fillText('Could not load ' + urls, this.canvas.width / 2, this.canvas.height / 2 + 80);
+        this.ctx.font = '18px Arial';
+        this.ctx.fillStyle = '#999999';
+        this.ctx.fillText('Check the connection and reload the page', this.canvas.width / 2, this.canvas.height / 2 + 180);
     }
 
     inputKeyPressed(code, debug) {
-        // No manual input handling - auto-transition after 5 seconds
+        // Any key skips the minimum display time - loading still has to finish
+        this.skipRequested = true;
     }
 
     shouldTransition() {
-        return this.startTime && performance.now() - this.startTime >= this.displayDuration && !this.hasTransitioned;
+        if (!this.startTime || !this.loadingComplete || this.hasTransitioned || this.requiredFailures.length > 0) {
+            return false;
+        }
+        return this.skipRequested || performance.now() - this.startTime >= this.minDisplayDuration;
     }
 
     markTransitioned() {
         this.hasTransitioned = true;
     }
 }
+
+SceneBase.register('splash', SceneSplash);
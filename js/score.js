@@ -0,0 +1,70 @@
+// Score Module - points for drops, merges and clears with combo chains
+// Kept free of canvas and physics so the rules can be exercised on their own
+
+export const ScoreRules = {
+    dropPoints: 1, // Every ball dropped
+    mergePoints: 10, // Multiplied by the size of the ball a merge produces
+    clearPoints: 500, // Two top size balls merging
+    comboWindow: 1500, // ms - a merge within this time of the previous one extends the chain
+    comboStep: 0.5, // Multiplier added per chained merge
+    maxMultiplier: 5,
+};
+
+export class ScoreModel {
+    constructor(rules = ScoreRules, bestScore = 0) {
+        this.rules = rules;
+        this.bestScore = bestScore;
+        this.reset();
+    }
+
+    reset() {
+        this.score = 0;
+        this.chain = 0;
+        this.lastChainTime = null;
+        this.longestChain = 0;
+    }
+
+    get multiplier() {
+        return Math.min(this.rules.maxMultiplier, 1 + this.chain * this.rules.comboStep);
+    }
+
+    // Times are in ms of game time, not wall time
+    update(time) {
+        if (this.lastChainTime !== null && time - this.lastChainTime > this.rules.comboWindow) {
+            this.chain = 0;
+            this.lastChainTime = null;
+        }
+    }
+
+    addDrop(time) {
+        this.update(time);
+        return this.addPoints(this.rules.dropPoints);
+    }
+
+    addMerge(size, time) {
+        return this.addChainPoints(this.rules.mergePoints * size, time);
+    }
+
+    addClear(size, time) {
+        return this.addChainPoints(this.rules.clearPoints, time);
+    }
+
+    addChainPoints(basePoints, time) {
+        this.update(time);
+
+        // The first merge scores at x1, each follow-up inside the window raises the multiplier
+        if (this.lastChainTime !== null) {
+            this.chain++;
+            this.longestChain = Math.max(this.longestChain, this.chain);
+        }
+        this.lastChainTime = time;
+
+        return this.addPoints(Math.round(basePoints * this.multiplier));
+    }
+
+    addPoints(points) {
+        this.score += points;
+        this.bestScore = Math.max(this.bestScore, this.score);
+        return points;
+    }
+}
@@ -1,190 +1,191 @@
 import { DiagnosticPanel } from './diagnostics.js';
 import { SceneBase } from './scenebase.js';
-
-// Import scene classes after SceneBase is available
-import { SceneBallsX } from './sceneballsx.js';
-import { SceneSplash } from './scenesplash.js';
-import { SceneMenu } from './scenemenu.js';
-import { SceneSettings } from './scenesettings.js';
+import { SeededRandom } from './random.js';
+import { SettingsStore } from './settings.js';
+import { HighScoreTable } from './highscores.js';
+import { AssetManager } from './assets.js';
+import { GameClock } from './gameclock.js';
+
+// Default length of each scene transition effect
+export const TransitionDurations = Object.freeze({
+    fade: 600, // ms - out to black then in, half each
+    slide: 400, // ms - the old frame slides off to the left
+    crossfade: 500, // ms - the old frame dissolves into the new scene
+});
 
 export class SceneManager {
-    static GameScenes = Object.freeze({
-        splash: 'splash',
-        menu: 'menu',
-        main: 'main',
-        ballsX: 'ballsX',
-        settings: 'settings',
-    });
-    constructor(canvas) {
+    constructor(canvas, initialSceneKey = 'splash') {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.inputHandler = null;
 
-        this.clock = {
-            deltaTime: 0,
-            currentTime: 0,
-        };
+        // The only frame timer - scenes are handed its clamped dt
+        this.clock = new GameClock();
+        this.setupWindowEventHandlers();
+
+        // Seeded generator shared by every scene that needs randomness
+        this.random = new SeededRandom();
+
+        // Persisted settings - scenes read them here and subscribe to changes
+        this.settings = new SettingsStore(window.localStorage);
+        this.highScores = new HighScoreTable(window.localStorage);
+
+        // Filled by the splash scene from the asset manifest
+        this.assets = new AssetManager();
 
         this.diagnosticsPanel = new DiagnosticPanel();
         this.diagnosticsPanel.registerSceneManager(this);
 
-        // Initialize scene instances
-        this.scenes = {
-            [SceneManager.GameScenes.splash]: new SceneSplash(canvas, this),
-            [SceneManager.GameScenes.menu]: new SceneMenu(canvas, this),
-            [SceneManager.GameScenes.ballsX]: new SceneBallsX(canvas, this),
-            [SceneManager.GameScenes.settings]: new SceneSettings(canvas, this),
-        };
-
-        // Set manager reference for scenes that need it
-        Object.values(this.scenes).forEach((scene) => {
-            if (scene.setManager) {
-                scene.setManager(this);
-            }
+        // One instance of every registered scene
+        this.scenes = {};
+        SceneBase.getRegisteredScenes().forEach((SceneClass, sceneKey) => {
+            this.scenes[sceneKey] = new SceneClass(canvas, this);
         });
 
-        this.currentSceneKey = SceneManager.GameScenes.splash;
-        this.currentScene = this.scenes[this.currentSceneKey];
-        this.currentScene.enter();
+        // Active scenes, bottom first - only the top one updates and takes input
+        this.sceneStack = [];
+
+        // Running transition effect - the outgoing frame is kept in the snapshot canvas
+        this.transition = null;
+        this.snapshotCanvas = document.createElement('canvas');
+        this.snapshotCanvas.width = canvas.width;
+        this.snapshotCanvas.height = canvas.height;
+
+        this.setCurrentScene(initialSceneKey);
+    }
+
+    get currentScene() {
+        const top = this.sceneStack[this.sceneStack.length - 1];
+        return top ? top.scene : null;
+    }
+
+    get currentSceneKey() {
+        const top = this.sceneStack[this.sceneStack.length - 1];
+        return top ? top.key : null;
     }
 
-    setCurrentScene(sceneKey) {
+    hasScene(sceneKey) {
         if (this.scenes[sceneKey]) {
-            if (this.currentScene) {
-                this.currentScene.exit();
-            }
-            this.currentSceneKey = sceneKey;
-            this.currentScene = this.scenes[sceneKey];
-            this.currentScene.enter();
+            return true;
         }
+        console.log('Unknown scene: ' + sceneKey);
+        return false;
     }
 
-    registerInputHandler(inputHandler) {
-        this.inputHandler = inputHandler;
-        this.inputHandler.registerSceneManager(this);
-    }
+    // Replace the whole stack with the given scene - params are handed to its enter(), transition
+    // is a type from TransitionDurations or { type, duration }
+    setCurrentScene(sceneKey, params = {}, transition = null) {
+        if (!this.hasScene(sceneKey)) {
+            return;
+        }
 
-    getSceneMainStateHtml() {
-        const vHtml = `
-            <strong>Scene: Main</strong><br>
-        `;
-        return vHtml;
+        this.startTransition(transition);
+
+        while (this.sceneStack.length > 0) {
+            this.sceneStack.pop().scene.exit();
+        }
+
+        this.sceneStack.push({ key: sceneKey, scene: this.scenes[sceneKey] });
+        this.currentScene.enter(params);
     }
 
-    getSceneStateHtml() {
-        let vHtml = '';
+    // Put a scene over the current one, which stays on the stack frozen until it is popped
+    pushScene(sceneKey, params = {}, transition = null) {
+        if (!this.hasScene(sceneKey)) {
+            return;
+        }
 
-        switch (this.currentSceneKey) {
-            case SceneManager.GameScenes.splash:
-                vHtml = this.scenes.splash.getSceneStateHtml();
-                break;
-            case SceneManager.GameScenes.menu:
-                vHtml = this.scenes.menu.getSceneStateHtml();
-                break;
-            case SceneManager.GameScenes.main:
-                vHtml = this.getSceneMainStateHtml();
-                break;
-            case SceneManager.GameScenes.ballsX:
-                vHtml = this.scenes.ballsX.getSceneStateHtml();
-                break;
-            case SceneManager.GameScenes.settings:
-                vHtml = this.scenes.settings.getSceneStateHtml();
-                break;
-            default:
-                break;
+        this.startTransition(transition);
+
+        if (this.currentScene) {
+            this.currentScene.cover();
         }
 
-        return vHtml;
+        this.sceneStack.push({ key: sceneKey, scene: this.scenes[sceneKey] });
+        this.currentScene.enter(params);
     }
 
-    setupEventHandlers() {}
+    // Remove the top scene and hand control back to the one beneath it
+    popScene(transition = null) {
+        if (this.sceneStack.length < 2) {
+            return;
+        }
 
-    destroy() {
-        Object.values(this.scenes).forEach((scene) => {
-            if (scene.exit) {
-                scene.exit();
-            }
-        });
-        this.scenes = null;
-        this.currentScene = null;
-        this.diagnosticsPanel = null;
+        this.startTransition(transition);
+
+        this.sceneStack.pop().scene.exit();
+        this.currentScene.uncover();
     }
 
-    renderSceneMain() {
-        const ballInfoElement = document.getElementById('currentBallSize');
-        ballInfoElement.textContent = 'Harrison Digital - Scene Manager';
+    // Keep the frame currently on screen so the effect can blend it with the incoming scene
+    startTransition(transition) {
+        if (!transition) {
+            this.transition = null;
+            return;
+        }
 
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const type = transition.type || transition;
+        if (!(type in TransitionDurations)) {
+            console.log('Unknown transition: ' + type);
+            this.transition = null;
+            return;
+        }
 
-        this.ctx.fillStyle = '#777777';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const snapshotCtx = this.snapshotCanvas.getContext('2d');
+        snapshotCtx.clearRect(0, 0, this.snapshotCanvas.width, this.snapshotCanvas.height);
+        snapshotCtx.drawImage(this.canvas, 0, 0);
 
-        const text = 'Scene Manager';
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillStyle = '#fff';
-        this.ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
+        this.transition = {
+            type: type,
+            duration: transition.duration || TransitionDurations[type],
+            startTime: performance.now(),
+        };
+    }
 
-        // Get all bodies and render them
+    isTransitioning() {
+        return this.transition !== null;
     }
 
-    inputKeyPressedSplash(code) {
-        // No manual input - auto-transition handles this
+    getSceneBelow(scene) {
+        const index = this.sceneStack.findIndex((entry) => entry.scene === scene);
+        return index > 0 ? this.sceneStack[index - 1].scene : null;
     }
 
-    inputKeyPressedMenu(code) {
-        switch (code) {
-            case 'ArrowUp':
-            case 'ArrowDown':
-                this.scenes.menu.inputKeyPressed(code, false);
-                break;
-            case 'Enter':
-                // Handle menu selection
-                if (this.scenes.menu.selectedOption === 0) {
-                    // Start Game
-                    this.setCurrentScene(SceneManager.GameScenes.ballsX);
-                } else if (this.scenes.menu.selectedOption === 1) {
-                    // Settings
-                    this.setCurrentScene(SceneManager.GameScenes.settings);
-                }
-                break;
-            default:
-                break;
-        }
+    // Animation frames stop while the tab is hidden - don't count that gap as one huge frame
+    setupWindowEventHandlers() {
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.clock.resync();
+            }
+        });
     }
 
-    inputKeyPressedMain(code) {
-        switch (code) {
-            case 'ArrowLeft':
-                this.setCurrentScene(SceneManager.GameScenes.ballsX);
-                break;
-            case 'ArrowRight':
-                break;
-            default:
-                break;
+    registerInputHandler(inputHandler) {
+        this.inputHandler = inputHandler;
+        this.inputHandler.registerSceneManager(this);
+    }
+
+    getSceneStateHtml() {
+        if (!this.currentScene) {
+            return '';
         }
+
+        const vHtml = `
+            Frame: ${this.clock.deltaTime.toFixed(2)}ms,&nbsp;
+            Dropped: ${Math.round(this.clock.droppedTime)}ms<br>
+            Stack: ${this.sceneStack.map((entry) => entry.key).join(' › ')}
+            ${this.transition ? '(' + this.transition.type + ')' : ''}<br>
+            ${this.currentScene.getSceneStateHtml()}
+        `;
+        return vHtml;
     }
 
-    inputKeyPressedSettings(code) {
-        switch (code) {
-            case 'Escape':
-                this.setCurrentScene(SceneManager.GameScenes.menu);
-                break;
-            case 'Enter':
-                // Check if Back option is selected
-                if (this.scenes.settings.selectedOption === 3) {
-                    this.setCurrentScene(SceneManager.GameScenes.menu);
-                } else {
-                    // Pass other input to the settings scene
-                    this.scenes.settings.inputKeyPressed(code, false);
-                }
-                break;
-            default:
-                // Pass other input to the settings scene
-                this.scenes.settings.inputKeyPressed(code, false);
-                break;
+    destroy() {
+        while (this.sceneStack.length > 0) {
+            this.sceneStack.pop().scene.exit();
         }
+        this.scenes = null;
+        this.diagnosticsPanel = null;
     }
 
     inputKeyPressed(code) {
@@ -194,57 +195,85 @@ export class SceneManager {
             case 'KeyD':
                 this.diagnosticsPanel.toggle();
                 break;
-            default: {
-                switch (this.currentSceneKey) {
-                    case SceneManager.GameScenes.splash:
-                        this.inputKeyPressedSplash(code);
-                        break;
-                    case SceneManager.GameScenes.menu:
-                        this.inputKeyPressedMenu(code);
-                        break;
-                    case SceneManager.GameScenes.main:
-                        this.inputKeyPressedMain(code);
-                        break;
-                    case SceneManager.GameScenes.ballsX:
-                        this.scenes.ballsX.inputKeyPressed(code, debug);
-                        break;
-                    case SceneManager.GameScenes.settings:
-                        this.inputKeyPressedSettings(code);
-                        break;
-                    default:
-                        break;
+            default:
+                // Input is locked until the incoming scene is fully on screen
+                if (this.currentScene && !this.isTransitioning()) {
+                    this.currentScene.inputKeyPressed(code, debug);
                 }
-            }
+                break;
         }
     }
 
-    updateFrameMain() {
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
-
-        this.renderSceneMain();
+    inputMouse(type, x, y, details) {
+        if (this.currentScene && !this.isTransitioning()) {
+            this.currentScene.inputMouse(type, x, y, details);
+        }
     }
 
     update(dt) {
-        const nextSceneKey = this.currentScene.update(dt);
-        if (nextSceneKey && this.scenes[nextSceneKey]) {
-            this.setCurrentScene(nextSceneKey);
+        // Scenes return a bare scene key, or { scene, params, transition } to hand data to the next one
+        const next = this.currentScene.update(dt);
+        if (typeof next === 'string') {
+            this.setCurrentScene(next);
+        } else if (next) {
+            this.setCurrentScene(next.scene, next.params, next.transition);
         }
     }
 
     render(ctx) {
-        this.currentScene.render(ctx);
+        this.renderStack(ctx);
+
+        if (this.transition) {
+            this.renderTransition(ctx);
+        }
+    }
+
+    renderStack(ctx) {
+        // Overlays draw over whatever is beneath them, so start from the topmost scene that isn't one
+        let first = this.sceneStack.length - 1;
+        while (first > 0 && this.sceneStack[first].scene.isOverlay) {
+            first--;
+        }
+
+        this.sceneStack.slice(first).forEach((entry) => entry.scene.render(ctx));
+    }
+
+    // Draw the outgoing frame over the newly rendered scene
+    renderTransition(ctx) {
+        const progress = Math.min(1, (performance.now() - this.transition.startTime) / this.transition.duration);
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.save();
+        switch (this.transition.type) {
+            case 'fade':
+                // First half darkens the old frame, second half lifts the black off the new scene
+                if (progress < 0.5) {
+                    ctx.drawImage(this.snapshotCanvas, 0, 0);
+                }
+                ctx.globalAlpha = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(0, 0, width, height);
+                break;
+            case 'slide':
+                ctx.drawImage(this.snapshotCanvas, -width * progress, 0);
+                break;
+            case 'crossfade':
+                ctx.globalAlpha = 1 - progress;
+                ctx.drawImage(this.snapshotCanvas, 0, 0);
+                break;
+        }
+        ctx.restore();
+
+        if (progress >= 1) {
+            this.transition = null;
+        }
     }
 
     updateFrame() {
         this.inputHandler.getInput();
 
-        const currentTime = performance.now();
-        const lastTime = this.clock.currentTime;
-        this.clock.currentTime = currentTime;
-        this.clock.deltaTime = this.clock.currentTime - lastTime;
+        this.clock.tick(performance.now());
 
         // Use new update/render interface
         this.update(this.clock.deltaTime);
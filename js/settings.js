@@ -0,0 +1,175 @@
+// Settings Module - game settings persisted to localStorage with a versioned schema
+import { downloadJson, pickJsonFile } from './fileio.js';
+
+export const SettingsVersion = 1;
+
+// Every setting with its default and the values it may take - new fields only need adding
+// here, stored data without them picks up the default
+export const SettingsSchema = Object.freeze({
+    soundEnabled: { default: true, values: [true, false] },
+    difficulty: { default: 'Medium', values: ['Easy', 'Medium', 'Hard'] },
+    graphics: { default: 'High', values: ['Low', 'Medium', 'High'] },
+    aimGuide: { default: true, values: [true, false] },
+});
+
+// SettingsMigrations[n] upgrades version n data to version n + 1 - for renamed or reshaped
+// fields, added fields are covered by the schema defaults
+const SettingsMigrations = [
+    // 0 -> 1: unversioned data was the bare settings object
+    (data) => ({ version: 1, settings: data }),
+];
+
+export class SettingsStore {
+    constructor(storage, storageKey = 'ohBalls2.settings') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    static getDefaults() {
+        const defaults = {};
+        Object.entries(SettingsSchema).forEach(([key, field]) => {
+            defaults[key] = field.default;
+        });
+        return defaults;
+    }
+
+    static isValid(key, value) {
+        return key in SettingsSchema && SettingsSchema[key].values.includes(value);
+    }
+
+    // Bring stored data of any older version up to the current schema
+    static migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Settings must be a JSON object');
+        }
+
+        let version = Number.isInteger(data.version) ? data.version : 0;
+        if (version > SettingsVersion) {
+            throw new Error('Settings version ' + version + ' is newer than supported version ' + SettingsVersion);
+        }
+
+        let migrated = data;
+        while (version < SettingsVersion) {
+            migrated = SettingsMigrations[version](migrated);
+            version++;
+        }
+
+        // Other versioned files (replays, levels) get this far - they have no settings object
+        const settings = migrated.settings;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Settings data has no settings object');
+        }
+
+        return migrated;
+    }
+
+    // Keep known, valid fields and fill the rest from the defaults
+    static validate(settings) {
+        const values = SettingsStore.getDefaults();
+        Object.keys(values).forEach((key) => {
+            if (settings && SettingsStore.isValid(key, settings[key])) {
+                values[key] = settings[key];
+            }
+        });
+        return values;
+    }
+
+    load() {
+        try {
+            const json = this.storage.getItem(this.storageKey);
+            if (json === null) {
+                return SettingsStore.getDefaults();
+            }
+            return SettingsStore.validate(SettingsStore.migrate(JSON.parse(json)).settings);
+        } catch (error) {
+            console.log('Settings could not be loaded, using defaults: ' + error.message);
+            return SettingsStore.getDefaults();
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.log('Settings could not be saved: ' + error.message);
+        }
+    }
+
+    toJSON() {
+        return {
+            version: SettingsVersion,
+            settings: { ...this.values },
+        };
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    set(key, value) {
+        if (!SettingsStore.isValid(key, value)) {
+            throw new Error('Invalid value for setting ' + key + ': ' + value);
+        }
+        if (this.values[key] === value) {
+            return;
+        }
+
+        this.values[key] = value;
+        this.save();
+        this.notify(key);
+    }
+
+    // Step a setting on to its next allowed value
+    cycle(key) {
+        const values = SettingsSchema[key].values;
+        const index = values.indexOf(this.values[key]);
+        this.set(key, values[(index + 1) % values.length]);
+    }
+
+    // Listener is called with (key, value, allValues) - returns a function that unsubscribes
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter((l) => l !== listener);
+        };
+    }
+
+    notify(key) {
+        this.listeners.forEach((listener) => listener(key, this.values[key], this.getAll()));
+    }
+
+    // Replace every setting from exported data, notifying for each one that changed. Returns
+    // { dropped, defaulted } - fields ignored as unknown or invalid, and settings the data didn't
+    // have, which go back to their defaults. Data with no known settings at all is refused.
+    importData(data) {
+        const settings = SettingsStore.migrate(data).settings;
+        if (!Object.keys(settings).some((key) => key in SettingsSchema)) {
+            throw new Error('No known settings found');
+        }
+
+        const values = SettingsStore.validate(settings);
+        const dropped = Object.keys(settings).filter((key) => !SettingsStore.isValid(key, settings[key]));
+        const defaulted = Object.keys(SettingsSchema).filter((key) => !(key in settings));
+        const changed = Object.keys(values).filter((key) => values[key] !== this.values[key]);
+
+        this.values = values;
+        this.save();
+        changed.forEach((key) => this.notify(key));
+
+        return { dropped, defaulted };
+    }
+
+    exportToFile() {
+        downloadJson(this.toJSON(), 'ohballs-settings.json');
+    }
+
+    importFromFile() {
+        return pickJsonFile().then((data) => this.importData(data));
+    }
+}